@@ -33,7 +33,11 @@ function M.build_index(root, config_path, cache_dir, cb)
     return
   end
   
-  local args = { 'node', node_helper_path(), '--mode', 'index', '--project', root, '--config', config_path, '--out', cache_dir }
+  local args = { 'node', node_helper_path(), '--mode', 'index', '--project', root, '--out', cache_dir }
+  -- Tailwind v4 projects have no config file; the helper finds their CSS entry itself
+  if config_path then
+    vim.list_extend(args, { '--config', config_path })
+  end
   vim.system(args, { text = true, cwd = root }, function(res)
     cb(res.code == 0, res.code == 0 and '' or (res.stderr ~= '' and res.stderr or res.stdout))
   end)
@@ -1,8 +1,8 @@
 #!/usr/bin/env node
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
-const { spawn } = require('child_process');
+const crypto = require('crypto');
+const { builtinModules } = require('module');
 
 function parseArgs(argv) {
   const args = {};
@@ -11,8 +11,11 @@ function parseArgs(argv) {
     if (a === '--mode') args.mode = argv[++i];
     else if (a === '--project') args.project = argv[++i];
     else if (a === '--config') args.config = argv[++i];
+    else if (a === '--css') args.css = argv[++i];
     else if (a === '--out') args.out = argv[++i];
+    else if (a === '--classes') args.classes = argv[++i];
     else if (a === '--debug') args.debug = true;
+    else if (!a.startsWith('--')) (args.files = args.files || []).push(a);
   }
   return args;
 }
@@ -21,65 +24,1528 @@ function ensureDir(p) {
   if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
 }
 
-function run(cmd, args, opts = {}) {
-  return new Promise((resolve) => {
-    const child = spawn(cmd, args, { stdio: ['ignore', 'pipe', 'pipe'], ...opts });
-    let stdout = '';
-    let stderr = '';
-    child.stdout.on('data', (d) => (stdout += d.toString()));
-    child.stderr.on('data', (d) => (stderr += d.toString()));
-    child.on('close', (code) => resolve({ code, stdout, stderr }));
+async function checkTailwindVersion(projectDir) {
+  let pkgPath;
+  try {
+    pkgPath = require.resolve('tailwindcss/package.json', { paths: [projectDir] });
+  } catch (e) {
+    throw new Error('Unable to resolve tailwindcss from ' + projectDir + ': ' + e.message.split('\n')[0]);
+  }
+  const version = (readJson(pkgPath) || {}).version || '';
+  const major = parseInt(version, 10);
+  if (major !== 3 && major !== 4) throw new Error('Tailwind v3 or v4 required. Found v' + version + ' at ' + path.dirname(pkgPath));
+  return { version, major, root: path.dirname(pkgPath) };
+}
+
+// Tailwind packages already loaded, by name and version; workspace projects with their own copy
+// of a version that is already loaded share the first copy instead of loading it again
+const loadedPackages = new Map();
+const sharedPaths = new Map();
+
+function packageRootOf(file) {
+  for (let dir = path.dirname(file); dir !== path.dirname(dir); dir = path.dirname(dir)) {
+    const pkgPath = path.join(dir, 'package.json');
+    if (!fs.existsSync(pkgPath)) continue;
+    const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+    // Nested package.json files such as dist/esm/package.json carry no name
+    if (pkg.name) return { dir, name: pkg.name, version: pkg.version };
+  }
+  return null;
+}
+
+function requireFromProject(projectDir, id) {
+  const resolved = require.resolve(id, { paths: [projectDir] });
+  if (!/^(tailwindcss|@tailwindcss\/)/.test(id)) return require(resolved);
+  if (!sharedPaths.has(resolved)) {
+    let shared = resolved;
+    const pkg = packageRootOf(resolved);
+    if (pkg) {
+      const key = pkg.name + '@' + pkg.version;
+      if (!loadedPackages.has(key)) loadedPackages.set(key, pkg.dir);
+      const candidate = path.join(loadedPackages.get(key), path.relative(pkg.dir, resolved));
+      if (fs.existsSync(candidate)) shared = candidate;
+    }
+    sharedPaths.set(resolved, shared);
+  }
+  return require(sharedPaths.get(resolved));
+}
+
+function loadTailwindConfig(projectDir, configPath) {
+  configPath = path.resolve(projectDir, configPath);
+  let config;
+  try {
+    // tailwindcss >= 3.3 ships a loader that understands ESM and TypeScript configs
+    config = requireFromProject(projectDir, 'tailwindcss/loadConfig')(configPath);
+  } catch {
+    config = require(configPath);
+  }
+  const resolveConfig = requireFromProject(projectDir, 'tailwindcss/resolveConfig');
+  return resolveConfig(config && config.default ? config.default : config);
+}
+
+function createTailwindContext(projectDir, configPath, entry = null, tailwindRoot = projectDir) {
+  const { createContext } = requireFromProject(projectDir, 'tailwindcss/lib/lib/setupContextUtils');
+  const tailwindConfig = loadTailwindConfig(projectDir, configPath);
+  if (!entry) return createContext(tailwindConfig);
+  // @layer blocks of the input stylesheet register their classes like plugin utilities
+  const postcss = requireFromProject(tailwindRoot, 'postcss');
+  return createContext(tailwindConfig, [], postcss.parse(fs.readFileSync(entry, 'utf8'), { from: entry }));
+}
+
+function enumerateFromContext(context) {
+  if (typeof context.getClassList !== 'function') throw new Error('tailwindcss context has no getClassList');
+  const names = new Set();
+  for (const entry of context.getClassList()) {
+    // With metadata enabled entries are [name, { modifiers }]; keep only the name
+    names.add(Array.isArray(entry) ? entry[0] : entry);
+  }
+  return Array.from(names);
+}
+
+function listVariants(context) {
+  if (typeof context.getVariants !== 'function') {
+    // tailwindcss < 3.2 only exposes the raw variant registry
+    return Array.from(context.variantMap.keys()).map((name) => ({ name, values: [], isArbitrary: false, hasDash: true, selectors: [] }));
+  }
+  return context.getVariants().map((v) => {
+    let selectors = [];
+    // Variants that take a value would run their handler without one (v3's min-*/max-* then warn
+    // about the screens config), so only fixed variants are probed
+    if (v.values.length === 0 && !v.isArbitrary) {
+      try {
+        selectors = v.selectors({});
+      } catch {}
+    }
+    return { name: v.name, values: v.values, isArbitrary: v.isArbitrary, hasDash: v.hasDash, selectors };
   });
 }
 
-async function checkTailwindVersion(projectDir) {
+function generateCandidateRules(projectDir, context, classes, tailwindRoot) {
+  const { generateRules } = requireFromProject(projectDir, 'tailwindcss/lib/lib/generateRules');
+  let rules = generateRules(new Set(classes), context);
+  if (context.offsets && typeof context.offsets.sort === 'function') rules = context.offsets.sort(rules);
+  rules = rules.map(([, rule]) => rule);
+  if (!rules.some((rule) => rule.toString().includes('@apply'))) return rules;
+  // Classes from the input stylesheet's @layer blocks still carry their @apply
+  const postcss = requireFromProject(tailwindRoot, 'postcss');
+  const expandApplyAtRules = requireFromProject(projectDir, 'tailwindcss/lib/lib/expandApplyAtRules').default;
+  const collapseAdjacentRules = requireFromProject(projectDir, 'tailwindcss/lib/lib/collapseAdjacentRules').default;
+  return rules.flatMap((rule) => {
+    if (!rule.toString().includes('@apply')) return [rule];
+    const root = postcss.root();
+    root.append(rule.clone());
+    expandApplyAtRules(context)(root);
+    collapseAdjacentRules(context)(root);
+    // Expanded nodes are tagged with the applied utility; keep the candidate that was asked for
+    for (const node of root.nodes) node.raws.tailwind = rule.raws.tailwind;
+    return root.nodes;
+  });
+}
+
+function compileCandidates(projectDir, context, classes, tailwindRoot) {
+  const out = {};
+  for (const cls of classes) out[cls] = '';
+  for (const rule of generateCandidateRules(projectDir, context, classes, tailwindRoot)) {
+    // The candidate is tagged on each generated rule, including those wrapped in @media
+    const candidate = rule.raws && rule.raws.tailwind && rule.raws.tailwind.candidate;
+    if (!Object.prototype.hasOwnProperty.call(out, candidate)) continue;
+    out[candidate] += rule.toString() + '\n';
+  }
+  return out;
+}
+
+// The rest of the CLI's pipeline, run on the generated rules; base rules (the `*` candidate) carry
+// the @defaults the `*, ::before, ::after` --tw-* defaults come from
+function indexCandidatesV3(projectDir, context, classes, tailwindRoot, entry = null) {
+  const { NOT_ON_DEMAND } = requireFromProject(projectDir, 'tailwindcss/lib/lib/sharedState');
+  const lib = (name) => requireFromProject(projectDir, 'tailwindcss/lib/lib/' + name).default;
+  const postcss = requireFromProject(tailwindRoot, 'postcss');
+  const root = postcss.root();
+  root.append(generateCandidateRules(projectDir, context, [NOT_ON_DEMAND, ...classes], tailwindRoot).map((rule) => rule.clone()));
+  lib('evaluateTailwindFunctions')(context)(root);
+  lib('substituteScreenAtRules')(context)(root);
+  lib('resolveDefaultsAtRules')(context)(root);
+  lib('collapseAdjacentRules')(context)(root);
+  // Vendor prefixes as the CLI adds them; browserslist config is looked up from the stylesheet's directory
+  const autoprefixer = requireFromProject(projectDir, 'tailwindcss/lib/cli/build/deps').loadAutoprefixer();
+  const css = postcss([autoprefixer]).process(root, { from: entry || path.join(projectDir, 'input.css') }).css;
+  return extractRulesForClasses(css, classes, tailwindRoot);
+}
+
+// @tailwindcss/node and oxide are usually transitive dependencies of the vite, postcss or cli integration
+function tailwindPackageHosts(projectDir) {
+  const hosts = [projectDir];
+  for (const integration of ['@tailwindcss/vite', '@tailwindcss/postcss', '@tailwindcss/cli']) {
+    try {
+      hosts.push(path.dirname(require.resolve(integration + '/package.json', { paths: [projectDir] })));
+    } catch {}
+  }
+  return hosts;
+}
+
+function resolveTailwindPackage(projectDir, id) {
+  for (const host of tailwindPackageHosts(projectDir)) {
+    try {
+      return requireFromProject(host, id);
+    } catch {}
+  }
+  throw new Error('Unable to resolve ' + id + ' from ' + projectDir);
+}
+
+const importsTailwind = /@import\s+(url\()?["']tailwindcss(\/[\w.-]+)?["']/;
+const tailwindDirective = /@tailwind\s+(base|components|utilities)\b/;
+
+function findEntryCss(projectDir, pattern = importsTailwind, maxDepth = 4) {
+  const ignore = new Set(['.git', 'node_modules', 'dist', 'build']);
+  const scan = (dir, depth) => {
+    if (depth > maxDepth) return null;
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return null;
+    }
+    for (const e of entries) {
+      if (e.isFile() && e.name.endsWith('.css')) {
+        const file = path.join(dir, e.name);
+        if (pattern.test(fs.readFileSync(file, 'utf8'))) return file;
+      }
+    }
+    for (const e of entries) {
+      if (!e.isDirectory() || ignore.has(e.name)) continue;
+      const found = scan(path.join(dir, e.name), depth + 1);
+      if (found) return found;
+    }
+    return null;
+  };
+  return scan(projectDir, 1);
+}
+
+const moduleExtensions = ['', '.js', '.cjs', '.mjs', '.ts', '.cts', '.mts', '.json'];
+const importPattern = /(?:require|import)\s*\(\s*['"]([^'"]+)['"]\s*\)|(?:import|export)\s[^'";]*?\sfrom\s*['"]([^'"]+)['"]|import\s*['"]([^'"]+)['"]/g;
+
+function resolveModuleFile(spec, fromFile) {
+  const dir = path.dirname(fromFile);
+  if (spec.startsWith('.') || path.isAbsolute(spec)) {
+    const base = path.resolve(dir, spec);
+    const candidates = moduleExtensions.map((ext) => base + ext).concat(moduleExtensions.slice(1).map((ext) => path.join(base, 'index' + ext)));
+    return candidates.find((file) => fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+  }
+  if (spec.startsWith('node:') || builtinModules.includes(spec) || /^tailwindcss(\/|$)/.test(spec)) return null;
   try {
-    const pkgPath = require.resolve('tailwindcss/package.json', { paths: [projectDir] });
-    const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
-    const version = pkg.version || '';
-    if (!version.startsWith('3.')) throw new Error('Tailwind v3 required. Found v' + version);
-    return { version, root: path.dirname(pkgPath) };
-  } catch (e) {
-    throw new Error('Unable to resolve tailwindcss in project (v3 required): ' + e.message);
+    const resolved = require.resolve(spec, { paths: [dir] });
+    return path.isAbsolute(resolved) ? resolved : null;
+  } catch {}
+  // ESM-only packages have no `require` export; find the package directory itself
+  const name = spec.split('/').slice(0, spec.startsWith('@') ? 2 : 1).join('/');
+  for (let d = dir; d !== path.dirname(d); d = path.dirname(d)) {
+    const pkgDir = path.join(d, 'node_modules', name);
+    const pkg = readJson(path.join(pkgDir, 'package.json'));
+    if (!pkg) continue;
+    const main = path.join(pkgDir, pkg.module || pkg.main || 'index.js');
+    return fs.existsSync(main) && fs.statSync(main).isFile() ? main : path.join(pkgDir, 'package.json');
+  }
+  return null;
+}
+
+// Files a config pulls in through require/import: local modules transitively, plus the entry of each
+// preset or plugin package and that package's own relative imports
+function traceModuleDependencies(entry) {
+  const seen = new Set();
+  const visit = (file, inPackage) => {
+    if (seen.has(file)) return;
+    seen.add(file);
+    let source = '';
+    try {
+      source = fs.readFileSync(file, 'utf8');
+    } catch {
+      return;
+    }
+    for (const m of source.matchAll(importPattern)) {
+      const spec = m[1] || m[2] || m[3];
+      const bare = !spec.startsWith('.') && !path.isAbsolute(spec);
+      if (bare && inPackage) continue;
+      const resolved = resolveModuleFile(spec, file);
+      if (resolved) visit(resolved, inPackage || bare);
+    }
+  };
+  visit(entry, false);
+  return Array.from(seen);
+}
+
+function traceCssImports(entry, seen = new Set()) {
+  if (seen.has(entry)) return Array.from(seen);
+  seen.add(entry);
+  let source = '';
+  try {
+    source = fs.readFileSync(entry, 'utf8');
+  } catch {
+    return Array.from(seen);
+  }
+  for (const m of source.matchAll(/@import\s+(?:url\()?\s*['"]([^'"]+)['"]/g)) {
+    if (m[1].startsWith('.')) traceCssImports(path.resolve(path.dirname(entry), m[1]), seen);
+  }
+  return Array.from(seen);
+}
+
+async function loadDesignSystem(projectDir, cssPath) {
+  const twNode = resolveTailwindPackage(projectDir, '@tailwindcss/node');
+  const css = fs.readFileSync(cssPath, 'utf8');
+  return twNode.__unstable__loadDesignSystem(css, { base: path.dirname(cssPath) });
+}
+
+function compileCandidatesV4(designSystem, classes) {
+  const out = {};
+  const css = designSystem.candidatesToCss(classes);
+  classes.forEach((cls, i) => (out[cls] = css[i] || ''));
+  return out;
+}
+
+function declarationsV4(designSystem, classes) {
+  const out = {};
+  const asts = designSystem.candidatesToAst(classes);
+  classes.forEach((cls, i) => {
+    const nodes = asts[i] || [];
+    const plain = [];
+    const initial = new Map();
+    for (const node of nodes) {
+      if (node.kind === 'rule' && isSimpleClassSelector(node.selector)) {
+        for (const d of node.nodes) if (d.kind === 'declaration') plain.push([d.property, d.value]);
+      } else if (node.kind === 'at-rule' && node.name === '@property') {
+        const init = node.nodes.find((d) => d.property === 'initial-value');
+        if (init) initial.set(node.params, init.value);
+      }
+    }
+    const own = new Map(plain.filter(([prop]) => prop.startsWith('--')));
+    out[cls] = collectDeclarations(plain, (name) => {
+      if (own.has(name)) return own.get(name);
+      if (initial.has(name)) return initial.get(name);
+      return designSystem.resolveThemeValue ? designSystem.resolveThemeValue(name) : null;
+    });
+  });
+  return out;
+}
+
+function declarationsV3(projectDir, context, classes, tailwindRoot) {
+  const plain = {};
+  for (const cls of classes) plain[cls] = [];
+  for (const rule of generateCandidateRules(projectDir, context, classes, tailwindRoot)) {
+    const candidate = rule.raws && rule.raws.tailwind && rule.raws.tailwind.candidate;
+    if (!plain[candidate] || rule.type !== 'rule' || !isSimpleClassSelector(rule.selector)) continue;
+    rule.each((d) => d.type === 'decl' && plain[candidate].push([d.prop, d.value]));
+  }
+  const out = {};
+  for (const cls of classes) {
+    const own = new Map(plain[cls].filter(([prop]) => prop.startsWith('--')));
+    out[cls] = collectDeclarations(plain[cls], (name) => own.get(name));
+  }
+  return out;
+}
+
+// Minimal block parser for Tailwind v4 build output; v4 projects usually have no postcss to lean on
+function parseCssBlocks(css) {
+  const root = { type: 'root', nodes: [] };
+  const stack = [root];
+  let buffer = '';
+  let quote = null;
+  let level = 0;
+  for (let i = 0; i < css.length; i++) {
+    const ch = css[i];
+    const parent = stack[stack.length - 1];
+    if (quote) {
+      if (ch === quote && css[i - 1] !== '\\') quote = null;
+      buffer += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      buffer += ch;
+    } else if (ch === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      i = end === -1 ? css.length : end + 1;
+    } else if (ch === '(' || ch === ')') {
+      level += ch === '(' ? 1 : -1;
+      buffer += ch;
+    } else if (ch === '{' && level === 0) {
+      const head = buffer.trim();
+      buffer = '';
+      const node = head.startsWith('@')
+        ? { type: 'atrule', name: head.slice(1).split(/\s/)[0], params: head.slice(1).replace(/^\S+\s*/, ''), nodes: [], parent }
+        : { type: 'rule', selector: head, nodes: [], parent };
+      parent.nodes.push(node);
+      stack.push(node);
+    } else if ((ch === ';' || ch === '}') && level === 0) {
+      const text = buffer.trim();
+      buffer = '';
+      const colon = text.indexOf(':');
+      if (text && !text.startsWith('@') && colon !== -1) {
+        parent.nodes.push({ type: 'decl', prop: text.slice(0, colon).trim(), value: text.slice(colon + 1).trim() });
+      }
+      if (ch === '}' && stack.length > 1) stack.pop();
+    } else {
+      buffer += ch;
+    }
+  }
+  return root;
+}
+
+// Classes the entry stylesheet defines under @layer; the design system only knows @utility ones
+async function layerClassesV4(projectDir, entry, designSystem, onDependency = () => {}) {
+  const twNode = resolveTailwindPackage(projectDir, '@tailwindcss/node');
+  const compiler = await twNode.compile(fs.readFileSync(entry, 'utf8'), { base: path.dirname(entry), onDependency });
+  const out = new Map();
+  const walk = (node, layer) => {
+    for (const child of node.nodes) {
+      if (child.type === 'atrule' && child.name === 'layer') walk(child, child.params);
+      else if (child.type === 'atrule' && child.nodes.length > 0) walk(child, layer);
+      else if (child.type === 'rule' && layer && layer !== 'theme' && isSimpleClassSelector(child.selector)) {
+        const cls = child.selector.trim().slice(1).replace(/\\(.)/g, '$1');
+        const decls = child.nodes.filter((d) => d.type === 'decl');
+        let text = `${child.selector} {\n${decls.map((d) => `  ${d.prop}: ${d.value};`).join('\n')}\n}`;
+        for (let p = child.parent; p && p.type === 'atrule' && p.name !== 'layer'; p = p.parent) {
+          text = `@${p.name} ${p.params} {\n${text.replace(/^/gm, '  ')}\n}`;
+        }
+        const entryFor = out.get(cls) || { css: '', declarations: {} };
+        entryFor.css += text + '\n';
+        if (child.parent.type === 'atrule' && child.parent.name === 'layer') {
+          const plain = decls.map((d) => [d.prop, d.value]);
+          const own = new Map(plain.filter(([prop]) => prop.startsWith('--')));
+          Object.assign(entryFor.declarations, collectDeclarations(plain, (name) => (own.has(name) ? own.get(name) : designSystem.resolveThemeValue(name))));
+        }
+        out.set(cls, entryFor);
+      }
+    }
+  };
+  walk(parseCssBlocks(compiler.build([])), null);
+  return out;
+}
+
+function printCssBlock(node, indent = '') {
+  if (node.type === 'decl') return `${indent}${node.prop}: ${node.value};`;
+  const head = node.type === 'atrule' ? `@${node.name} ${node.params}` : node.selector;
+  return `${indent}${head} {\n${node.nodes.map((child) => printCssBlock(child, indent + '  ')).join('\n')}\n${indent}}`;
+}
+
+// Utilities reference theme variables and keyframes that candidatesToCss leaves out; one build of
+// every class emits those in use, and each class gets the ones it reaches, as v3 entries do
+async function indexCandidatesV4(projectDir, entry, designSystem, classes, layerClasses = new Map()) {
+  const css = compileCandidatesV4(designSystem, classes);
+  const declarations = declarationsV4(designSystem, classes);
+  for (const cls of classes) {
+    if (css[cls] || !layerClasses.has(cls)) continue;
+    css[cls] = layerClasses.get(cls).css;
+    declarations[cls] = layerClasses.get(cls).declarations;
+  }
+  const twNode = resolveTailwindPackage(projectDir, '@tailwindcss/node');
+  const compiler = await twNode.compile(fs.readFileSync(entry, 'utf8'), { base: path.dirname(entry), onDependency: () => {} });
+  const themeValues = new Map();
+  const keyframes = new Map();
+  const walk = (node) => {
+    for (const child of node.nodes) {
+      if (child.type === 'atrule' && /keyframes$/.test(child.name)) keyframes.set(child.params, child);
+      else if (child.type === 'atrule') walk(child);
+      else if (child.type === 'rule' && /^:root\b/.test(child.selector)) {
+        for (const d of child.nodes) if (d.type === 'decl' && d.prop.startsWith('--')) themeValues.set(d.prop, d.value.replace(/\s+/g, ' '));
+      }
+    }
+  };
+  walk(parseCssBlocks(compiler.build(classes)));
+
+  const out = {};
+  for (const cls of classes) {
+    const vars = new Set();
+    const pending = [css[cls]];
+    while (pending.length > 0) {
+      for (const m of pending.pop().matchAll(/var\((--(?!tw-)[\w-]+)/g)) {
+        if (vars.has(m[1]) || !themeValues.has(m[1])) continue;
+        vars.add(m[1]);
+        pending.push(themeValues.get(m[1]));
+      }
+    }
+    const animations = Array.from(css[cls].matchAll(/animation(?:-name)?\s*:\s*([^;]+)/g), (m) => m[1]);
+    const values = animations.concat(Array.from(vars, (v) => themeValues.get(v))).join(' ');
+    const related = new Set(values.split(/[\s,;:()]+/).filter((word) => keyframes.has(word)));
+    const parts = [css[cls].trimEnd()];
+    for (const name of related) parts.push(printCssBlock(keyframes.get(name)));
+    if (vars.size > 0) parts.push(`:root, :host {\n${Array.from(vars, (v) => `  ${v}: ${themeValues.get(v)};`).join('\n')}\n}`);
+    out[cls] = { css: css[cls] ? parts.join('\n\n') + '\n' : '', declarations: declarations[cls] };
+  }
+  return out;
+}
+
+// package.json pins preset and plugin versions, so installs count as changes too
+function withPackageJson(projectDir, files) {
+  const pkg = path.join(projectDir, 'package.json');
+  return Array.from(new Set(fs.existsSync(pkg) ? files.concat(pkg) : files));
+}
+
+async function createEngine({ project, config, css }) {
+  const tw = await checkTailwindVersion(project);
+  if (tw.major >= 4) {
+    const entry = css ? path.resolve(project, css) : findEntryCss(project);
+    if (!entry) throw new Error('No CSS file importing "tailwindcss" found in ' + project + '; pass --css');
+    const designSystem = await loadDesignSystem(project, entry);
+    // Stylesheets, plugins and configs the entry loads, as reported by the compiler
+    const dependencies = new Set([entry]);
+    const layerClasses = await layerClassesV4(project, entry, designSystem, (file) => dependencies.add(file));
+    return {
+      ...tw,
+      entry,
+      designSystem,
+      classList: () => Array.from(new Set(enumerateFromContext(designSystem).concat(Array.from(layerClasses.keys())))),
+      variants: () => listVariants(designSystem),
+      compile: (classes) => {
+        const out = compileCandidatesV4(designSystem, classes);
+        for (const cls of classes) if (!out[cls] && layerClasses.has(cls)) out[cls] = layerClasses.get(cls).css;
+        return out;
+      },
+      classOrder: (classes) => designSystem.getClassOrder(classes),
+      declarations: (classes) => {
+        const out = declarationsV4(designSystem, classes);
+        for (const cls of classes) if (Object.keys(out[cls]).length === 0 && layerClasses.has(cls)) out[cls] = layerClasses.get(cls).declarations;
+        return out;
+      },
+      compileIndex: (classes) => indexCandidatesV4(project, entry, designSystem, classes, layerClasses),
+      metadata: (classes, css) => pluginMetadataV4(designSystem, classes, css),
+      configHash: () => hashJson(fs.readFileSync(entry, 'utf8')),
+      dependencies: () => withPackageJson(project, Array.from(dependencies)),
+      scanContent: () => scanContentV4(project, entry),
+    };
+  }
+  if (!config) throw new Error('--config is required for Tailwind v3 projects');
+  // The input stylesheet is optional in v3; without one only config and plugin classes exist
+  const entry = css ? path.resolve(project, css) : findEntryCss(project, tailwindDirective);
+  const context = createTailwindContext(project, config, entry, tw.root);
+  return {
+    ...tw,
+    entry,
+    context,
+    classList: () => enumerateFromContext(context),
+    variants: () => listVariants(context),
+    compile: (classes) => compileCandidates(project, context, classes, tw.root),
+    classOrder: (classes) => {
+      if (typeof context.getClassOrder !== 'function') throw new Error(`Tailwind ${tw.version} does not expose class ordering`);
+      return context.getClassOrder(classes);
+    },
+    declarations: (classes) => declarationsV3(project, context, classes, tw.root),
+    compileIndex: async (classes) => indexCandidatesV3(project, context, classes, tw.root, entry),
+    configHash: () => hashJson(context.tailwindConfig),
+    dependencies: () => withPackageJson(project, traceModuleDependencies(path.resolve(project, config)).concat(entry ? traceCssImports(entry) : [])),
+    metadata: () => pluginMetadataV3(project, context),
+    scanContent: async () => scanContentV3(project, context, tw.root),
+  };
+}
+
+const classChar = /[\w\-:/.[\]!#%@&()]/;
+
+// Positions of whole-candidate occurrences; v3 extractors report candidates without offsets
+function findCandidatePositions(content, candidate) {
+  const positions = [];
+  for (let i = content.indexOf(candidate); i !== -1; i = content.indexOf(candidate, i + 1)) {
+    const before = content[i - 1];
+    const after = content[i + candidate.length];
+    if ((before === undefined || !classChar.test(before)) && (after === undefined || !classChar.test(after))) positions.push(i);
+  }
+  return positions;
+}
+
+function scanContentV3(projectDir, context, tailwindRoot) {
+  const fg = requireFromProject(tailwindRoot, 'fast-glob');
+  const { defaultExtractor } = requireFromProject(tailwindRoot, 'tailwindcss/lib/lib/defaultExtractor');
+  const content = context.tailwindConfig.content || {};
+  const extract = content.extract || {};
+  const transform = content.transform || {};
+  const fallbackExtractor = defaultExtractor(context);
+
+  const globs = [];
+  const sources = [];
+  for (const entry of content.files || []) {
+    if (typeof entry === 'string') globs.push(entry);
+    else if (entry && typeof entry.raw === 'string') sources.push({ file: null, content: entry.raw, extension: entry.extension || 'html' });
+  }
+  const files = globs.length > 0 ? fg.sync(globs, { cwd: projectDir, absolute: true, ignore: ['**/node_modules/**'] }) : [];
+  for (const file of files) {
+    sources.push({ file, content: fs.readFileSync(file, 'utf8'), extension: path.extname(file).slice(1) });
+  }
+
+  return sources.map(({ file, content: text, extension }) => {
+    const extractor = extract[extension] || extract.DEFAULT || fallbackExtractor;
+    const transformer = transform[extension] || transform.DEFAULT || ((x) => x);
+    const candidates = new Set(extractor(transformer(text)));
+    const found = [];
+    for (const candidate of candidates) {
+      for (const position of findCandidatePositions(text, candidate)) found.push({ candidate, position });
+    }
+    return { file, content: text, candidates: found };
+  });
+}
+
+async function scanContentV4(projectDir, entry) {
+  const twNode = resolveTailwindPackage(projectDir, '@tailwindcss/node');
+  const { Scanner } = resolveTailwindPackage(projectDir, '@tailwindcss/oxide');
+  const base = path.dirname(entry);
+  const compiler = await twNode.compile(fs.readFileSync(entry, 'utf8'), { base, onDependency: () => {} });
+  // Same source resolution as @tailwindcss/cli: `source(none)`, an explicit root, or the project itself
+  let sources = [];
+  if (compiler.root === null) sources = [{ base: projectDir, pattern: '**/*', negated: false }];
+  else if (compiler.root !== 'none') sources = [{ ...compiler.root, negated: false }];
+  const scanner = new Scanner({ sources: sources.concat(compiler.sources) });
+  scanner.scan();
+  return scanner.files.map((file) => {
+    const text = fs.readFileSync(file, 'utf8');
+    const candidates = scanner.getCandidatesWithPositions({ content: text, extension: path.extname(file).slice(1) });
+    return { file, content: text, candidates };
+  });
+}
+
+const categoryByProperty = [
+  [/^(background-color|color|fill|stroke|accent-color|caret-color|outline-color|text-decoration-color|border(-[a-z]+)?-color)$/, 'color'],
+  [/^(padding|margin|--tw-space)/, 'spacing'],
+  [/^(width|height|min-width|min-height|max-width|max-height|size)$/, 'sizing'],
+  [/^(flex|grid|gap|row-gap|column-gap|justify|align|place|order)/, 'flexbox-grid'],
+  [/^(display|position|top|right|bottom|left|inset|z-index|float|clear|overflow|overscroll|visibility|isolation|object|box-sizing|aspect-ratio|columns|break|container)/, 'layout'],
+  [/^(font|-webkit-font-smoothing|line-height|letter-spacing|text|white-space|word-break|overflow-wrap|list-style|vertical-align|hyphens|-webkit-line-clamp|content$)/, 'typography'],
+  [/^(background|mask|--tw-gradient)/, 'backgrounds'],
+  [/^(border-collapse|border-spacing|table-layout|caption-side)$/, 'tables'],
+  [/^(border|outline|--tw-ring|--tw-divide)/, 'borders'],
+  [/^(box-shadow|opacity|mix-blend-mode|--tw-shadow)/, 'effects'],
+  [/^(filter|backdrop-filter|--tw-(blur|brightness|contrast|grayscale|hue-rotate|invert|saturate|sepia|drop-shadow|backdrop))/, 'filters'],
+  [/^(transition|animation|--tw-ease|--tw-duration)/, 'transitions'],
+  [/^(transform|scale|rotate|translate|--tw-(scale|rotate|translate|skew))/, 'transforms'],
+  [/^(cursor|pointer-events|user-select|resize|scroll|touch-action|appearance|will-change|--tw-scroll-snap)/, 'interactivity'],
+];
+
+function categorizeCss(css) {
+  for (const m of css.matchAll(/^\s*([-a-z]+)\s*:/gm)) {
+    for (const [re, category] of categoryByProperty) if (re.test(m[1])) return category;
+  }
+  return 'other';
+}
+
+const categoryByPlugin = [
+  [/^(borderCollapse|borderSpacing|tableLayout|captionSide)$/, 'tables'],
+  [/(Color|ColorStops|Opacity)$|^(fill|stroke)$/, 'color'],
+  [/^(accessibility|forcedColorAdjust)$/, 'accessibility'],
+  [/^(padding|margin|space)$/, 'spacing'],
+  [/^(size|width|minWidth|maxWidth|height|minHeight|maxHeight)$/, 'sizing'],
+  [/^(flex|basis|order|grid|gap|justify|align|place)/, 'flexbox-grid'],
+  [/^(container|aspectRatio|columns|break|boxDecoration|boxSizing|display|float|clear|isolation|object|overflow|overscroll|position|inset|visibility|zIndex)/, 'layout'],
+  [/^(font|letterSpacing|lineClamp|lineHeight|listStyle|text|verticalAlign|whitespace|wordBreak|hyphens|content)/, 'typography'],
+  [/^background/, 'backgrounds'],
+  [/^(border|divide|outline|ring)/, 'borders'],
+  [/^(boxShadow|opacity|mixBlendMode)$/, 'effects'],
+  [/^(blur|brightness|contrast|dropShadow|grayscale|hueRotate|invert|saturate|sepia|filter|backdrop)/, 'filters'],
+  [/^(transition|animation|willChange)/, 'transitions'],
+  [/^(transform|scale|rotate|translate|skew)/, 'transforms'],
+  [/^(appearance|cursor|pointerEvents|resize|scroll|touchAction|userSelect)/, 'interactivity'],
+  [/^strokeWidth$/, 'svg'],
+];
+
+function categorizePlugin(plugin) {
+  if (!plugin) return null;
+  for (const [re, category] of categoryByPlugin) if (re.test(plugin)) return category;
+  return null;
+}
+
+// v4 candidates carry a root rather than a plugin name: the full name for static utilities, the
+// prefix for functional ones. Roots shared by several plugins (text, bg, border, shadow, ...) are
+// left to categorizeCss, as are unlisted ones
+const categoryByRoot = [
+  [/^(border-(collapse|separate|spacing)|table-(auto|fixed)|caption-)/, 'tables'],
+  [/^(accent|caret|fill|from|via|to)$/, 'color'],
+  [/^(sr-only|not-sr-only|forced-color-adjust)/, 'accessibility'],
+  [/^(p[xytrblse]?|m[xytrblse]?|space-[xy](-reverse)?)$/, 'spacing'],
+  [/^(size|w|min-w|max-w|h|min-h|max-h)$/, 'sizing'],
+  [/^(flex-|basis$|grow$|shrink$|order$|grid-|(col|row)(-|$)|auto-(cols|rows)$|gap|justify-|items-|self-|place-)/, 'flexbox-grid'],
+  [/^(container|aspect|columns|box-(border|content)|block|inline|flow-root|grid|table|contents|list-item|hidden|isolate|static|fixed|absolute|relative|sticky|inset(-[xy])?|top|right|bottom|left|start|end|visible|invisible|collapse|z)$/, 'layout'],
+  [/^(break-(after|before|inside)|inline|table|float|clear|object|overflow|overscroll|box-decoration|isolation)-/, 'layout'],
+  [/^(font|tracking|leading|line-clamp|list|indent|align-|whitespace-|break-(words|all|keep|normal)|wrap-|hyphens-|truncate|text-(left|center|right|justify|start|end|ellipsis|clip|wrap|nowrap|balance|pretty))/, 'typography'],
+  [/^(underline|overline|line-through|no-underline|uppercase|lowercase|capitalize|normal-case|italic|not-italic|antialiased|subpixel-antialiased)$/, 'typography'],
+  [/^bg-/, 'backgrounds'],
+  [/^(rounded|divide-[xy])/, 'borders'],
+  [/^(opacity|mix-blend-)/, 'effects'],
+  [/^(blur|brightness|contrast|drop-shadow|grayscale|hue-rotate|invert|saturate|sepia|filter|backdrop-)/, 'filters'],
+  [/^(transition|duration|ease|delay|animate|will-change)/, 'transitions'],
+  [/^(transform|scale|rotate|translate|skew|origin|perspective|backface)/, 'transforms'],
+  [/^(appearance|cursor|pointer-events|resize|scroll-|snap-|touch-|select-)/, 'interactivity'],
+];
+
+function categorizeRoot(root) {
+  if (!root) return null;
+  const bare = root.replace(/^-/, '');
+  for (const [re, category] of categoryByRoot) if (re.test(bare)) return category;
+  return null;
+}
+
+function dlv(obj, keyPath) {
+  return keyPath.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+// Maps a flattened value key such as `brand-500` back to its nested theme path `brand.500`
+function themeKeyPath(obj, key) {
+  if (!obj || typeof obj !== 'object') return null;
+  if (Object.prototype.hasOwnProperty.call(obj, key)) {
+    // `bg-brand` is the DEFAULT of a nested scale such as colors.brand = { DEFAULT, 500 }
+    const value = obj[key];
+    const nested = value && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, 'DEFAULT');
+    return nested ? [key, 'DEFAULT'] : [key];
+  }
+  const parts = key.split('-');
+  for (let i = 1; i < parts.length; i++) {
+    const head = parts.slice(0, i).join('-');
+    const rest = themeKeyPath(obj[head], parts.slice(i).join('-'));
+    if (rest) return [head, ...rest];
+  }
+  if (Object.prototype.hasOwnProperty.call(obj, 'DEFAULT') && key === 'DEFAULT') return ['DEFAULT'];
+  return null;
+}
+
+function themePathFor(theme, namespace, key) {
+  const rest = themeKeyPath(dlv(theme, namespace), key);
+  if (!rest) return null;
+  // Prefer the shared scale a namespace inherits from, e.g. textColor.red.500 -> colors.red.500;
+  // resolved namespaces are copies, so values are compared rather than objects
+  const value = dlv(theme, [namespace, ...rest].join('.'));
+  for (const base of ['colors', 'spacing']) {
+    const shared = dlv(theme, [base, ...rest].join('.'));
+    if (base !== namespace && shared !== undefined && hashJson(shared) === hashJson(value)) return [base, ...rest].join('.');
+  }
+  return [namespace, ...rest].join('.');
+}
+
+// Replays core and user plugins against a recording API to learn which plugin and theme key produce each class
+function pluginMetadataV3(projectDir, context) {
+  const { corePlugins } = requireFromProject(projectDir, 'tailwindcss/lib/corePlugins');
+  const config = context.tailwindConfig;
+  const out = new Map();
+  const record = (cls, meta) => out.has(cls) || out.set(cls, meta);
+
+  const replay = (name, plugin) => {
+    const requested = [];
+    const recordSelectors = (styles) => {
+      for (const style of [].concat(styles)) {
+        for (const selector of Object.keys(style || {})) {
+          const m = selector.match(/\.((?:\\.|[\w-])+)/);
+          if (m) record(m[1].replace(/\\(.)/g, '$1'), { plugin: name, category: categorizePlugin(name), themePath: null });
+        }
+      }
+    };
+    const recordMatches = (utilities, options = {}) => {
+      for (const root of Object.keys(utilities)) {
+        for (const key of Object.keys(options.values || {})) {
+          const cls = key === 'DEFAULT' ? root : `${root}-${key}`;
+          // The most recent theme() lookup that knows this key is the namespace the values came from
+          let themePath = null;
+          for (let i = requested.length - 1; i >= 0 && !themePath; i--) themePath = themePathFor(config.theme, requested[i], key);
+          const meta = { plugin: name, category: categorizePlugin(name), themePath };
+          record(cls, meta);
+          if (options.supportsNegativeValues) record('-' + cls, meta);
+        }
+      }
+    };
+    const api = {
+      theme: (keyPath, fallback) => {
+        requested.push(keyPath);
+        const value = dlv(config.theme, keyPath);
+        return value === undefined ? fallback : value;
+      },
+      config: (keyPath, fallback) => {
+        if (!keyPath) return config;
+        const value = dlv(config, keyPath);
+        return value === undefined ? fallback : value;
+      },
+      corePlugins: (p) => (Array.isArray(config.corePlugins) ? config.corePlugins.includes(p) : true),
+      e: (x) => x,
+      prefix: (x) => x,
+      addUtilities: recordSelectors,
+      addComponents: recordSelectors,
+      matchUtilities: recordMatches,
+      matchComponents: recordMatches,
+      addBase() {},
+      addDefaults() {},
+      addVariant() {},
+      matchVariant() {},
+    };
+    try {
+      plugin(api);
+    } catch {}
+  };
+
+  for (const [name, plugin] of Object.entries(corePlugins)) {
+    if (Array.isArray(config.corePlugins) && !config.corePlugins.includes(name)) continue;
+    replay(name, plugin);
+  }
+  (config.plugins || []).forEach((plugin, i) => {
+    if (plugin && plugin.__isOptionsFunction) plugin = plugin();
+    const handler = typeof plugin === 'function' ? plugin : plugin && plugin.handler;
+    if (typeof handler === 'function') replay(`plugins[${i}]`, handler);
+  });
+  return out;
+}
+
+function pluginMetadataV4(designSystem, classes, css) {
+  const out = new Map();
+  for (const cls of classes) {
+    let plugin = null;
+    let category = null;
+    try {
+      const [candidate] = designSystem.parseCandidate(cls);
+      plugin = candidate ? candidate.root || candidate.kind : null;
+      category = candidate ? categorizeRoot(candidate.root) : null;
+    } catch {}
+    const themeVar = ((css[cls] || '').match(/var\((--(?!tw-)[\w-]+)/) || [])[1] || null;
+    out.set(cls, { plugin, category, themePath: themeVar });
   }
+  return out;
 }
 
-async function compileUtilities(projectDir, configPath, safelist) {
-  const tmpDir = fs.mkdtempSync(path.join(fs.realpathSync(os.tmpdir()), 'twpicker-'));
-  const inputCss = path.join(tmpDir, 'input.css');
-  const outputCss = path.join(tmpDir, 'output.css');
-  const contentHtml = path.join(tmpDir, 'index.html');
-  fs.writeFileSync(inputCss, '@tailwind utilities;');
-  fs.writeFileSync(contentHtml, `<div class="${safelist.join(' ')}"></div>`);
-  const cliPath = require.resolve('tailwindcss/lib/cli.js', { paths: [projectDir] });
-  const res = await run(process.execPath, [cliPath, '-i', inputCss, '-o', outputCss, '--config', configPath, '--content', contentHtml], { cwd: projectDir });
-  if (res.code !== 0) throw new Error(res.stderr || res.stdout || 'tailwind build failed');
-  return fs.readFileSync(outputCss, 'utf8');
+function toHex([r, g, b]) {
+  return '#' + [r, g, b].map((x) => x.toString(16).padStart(2, '0')).join('');
 }
 
-function sanitizeClassToFilename(cls) {
-  return cls.replace(/[^a-zA-Z0-9._-]/g, '_');
+function resolvedValues(declarations) {
+  const resolved = {};
+  for (const value of Object.values(declarations || {})) {
+    if (!resolved.color) {
+      const color = parseColor(value.trim());
+      if (color && color[3] > 0) resolved.color = { hex: toHex(color), rgb: `rgb(${color.slice(0, 3).join(' ')} / ${color[3]})` };
+    }
+    if (resolved.px === undefined) {
+      const px = parseLength(evaluateCalc(value.trim()));
+      if (px != null && /rem|px|em|calc/.test(value)) resolved.px = Math.round(px * 1000) / 1000;
+    }
+  }
+  return resolved;
 }
 
-function extractRulesForClasses(css, classes) {
+function hashJson(value) {
+  // Plugins and theme callbacks are functions; hash their source so edits to them still count
+  const json = JSON.stringify(value, (_, v) => (typeof v === 'function' ? v.toString() : v));
+  return crypto.createHash('sha256').update(json || '').digest('hex');
+}
+
+// Versions of the packages the config or stylesheet actually loads (presets, plugins), whatever their name
+function pluginVersions(dependencies) {
+  const versions = {};
+  for (const file of dependencies) {
+    if (!file.split(path.sep).includes('node_modules')) continue;
+    const pkg = packageRootOf(file);
+    if (pkg && pkg.name !== 'tailwindcss') versions[pkg.name] = pkg.version || null;
+  }
+  return versions;
+}
+
+function readBundle(out) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(out, 'index.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function diffBundles(prev, next) {
+  const before = (prev && prev.classes) || {};
+  const added = [];
+  const changed = [];
+  for (const [cls, entry] of Object.entries(next.classes)) {
+    if (!before[cls]) added.push(cls);
+    else if (JSON.stringify(before[cls]) !== JSON.stringify(entry)) changed.push(cls);
+  }
+  const removed = Object.keys(before).filter((cls) => !next.classes[cls]);
+  return { added, removed, changed };
+}
+
+function removeLegacyCacheFiles(out) {
+  // Caches written before the bundle held one .css file per class, listed in a filename map;
+  // only files that map names are ours, so anything else in --out is left alone
+  const mapPath = path.join(out, 'filename-map.json');
+  const map = readJson(mapPath);
+  if (!map) return;
+  for (const name of Object.keys(map)) fs.rmSync(path.join(out, path.basename(name) + '.css'), { force: true });
+  for (const name of ['classes.json', 'variants.json', 'filename-map.json']) fs.rmSync(path.join(out, name), { force: true });
+}
+
+function formatNode(node) {
+  const copy = node.clone();
+  copy.cleanRaws();
+  return copy.toString();
+}
+
+function wrapInAtRules(node, text) {
+  for (let p = node.parent; p && p.type === 'atrule'; p = p.parent) {
+    text = `@${p.name} ${p.params} {\n${text.replace(/^/gm, '    ')}\n}`;
+  }
+  return text;
+}
+
+function isDefaultsRule(rule) {
+  return rule.selectors.some((s) => s === '::before' || s === '::after' || s === '::backdrop');
+}
+
+function isSimpleClassSelector(selector) {
+  return /^\.(?:\\.|[\w-])+$/.test(selector.trim());
+}
+
+// Replaces var(--x, fallback) using `lookup`, falling back to the inline fallback when it has no value
+function substituteVars(value, lookup, depth = 0) {
+  if (depth > 8 || !value.includes('var(')) return value;
+  let out = '';
+  let i = 0;
+  while (i < value.length) {
+    const start = value.indexOf('var(', i);
+    if (start === -1) {
+      out += value.slice(i);
+      break;
+    }
+    out += value.slice(i, start);
+    let level = 0;
+    let end = start + 3;
+    for (; end < value.length; end++) {
+      if (value[end] === '(') level++;
+      else if (value[end] === ')' && --level === 0) break;
+    }
+    const inner = value.slice(start + 4, end);
+    const comma = inner.indexOf(',');
+    const name = (comma === -1 ? inner : inner.slice(0, comma)).trim();
+    const fallback = comma === -1 ? null : inner.slice(comma + 1).trim();
+    const resolved = lookup(name);
+    const next = resolved != null ? resolved : fallback;
+    out += next == null ? value.slice(start, end + 1) : substituteVars(next, lookup, depth + 1);
+    i = end + 1;
+  }
+  return out;
+}
+
+function collectDeclarations(decls, lookup) {
+  const out = {};
+  for (const [prop, value] of decls) {
+    if (prop.startsWith('--')) continue;
+    out[prop] = substituteVars(value, lookup);
+  }
+  return out;
+}
+
+function extractRulesForClasses(css, classes, tailwindRoot) {
   const map = {};
-  for (const cls of classes) map[cls] = '';
-  const blocks = css.split('}');
-  for (const block of blocks) {
-    const [rawSel, rawBody] = block.split('{');
-    if (!rawSel || !rawBody) continue;
-    const sel = rawSel.trim();
-    const body = rawBody.trim();
-    for (const cls of classes) {
-      const dot = '.' + cls.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
-      const re = new RegExp(`(^|[,\n\r\s])${dot}([\s,{.:#\[]|$)`);
-      if (re.test(sel)) map[cls] += body + '\n';
+  for (const cls of classes) map[cls] = { css: '', declarations: {} };
+  if (!css) return map;
+
+  const postcss = requireFromProject(tailwindRoot, 'postcss');
+  const selectorParser = requireFromProject(tailwindRoot, 'postcss-selector-parser');
+  const root = postcss.parse(css);
+
+  const matched = {};
+  const keyframes = new Map();
+  const defaults = new Map();
+  root.walkAtRules(/keyframes$/, (node) => keyframes.set(node.params, node));
+  root.walkRules((node) => {
+    if (node.parent.type === 'atrule' && /keyframes$/.test(node.parent.name)) return;
+    if (isDefaultsRule(node)) {
+      node.each((d) => d.type === 'decl' && d.prop.startsWith('--tw-') && defaults.set(d.prop, d.value));
+      return;
+    }
+    // One pass over the stylesheet: unescape each class in the selector and attach the rule to it
+    const seen = new Set();
+    selectorParser((sel) => sel.walkClasses((c) => seen.add(c.value))).processSync(node.selector);
+    for (const cls of seen) {
+      if (!Object.prototype.hasOwnProperty.call(map, cls)) continue;
+      (matched[cls] = matched[cls] || []).push(node);
+    }
+  });
+
+  for (const cls of Object.keys(matched)) {
+    const parts = [];
+    const related = new Set();
+    const vars = new Set();
+    const own = new Set();
+    // Declarations of the bare `.class` rule, outside any at-rule, feed the reverse lookup
+    const plain = [];
+    for (const rule of matched[cls]) {
+      parts.push(wrapInAtRules(rule, formatNode(rule)));
+      if (rule.parent.type === 'root' && isSimpleClassSelector(rule.selector)) {
+        rule.each((d) => d.type === 'decl' && plain.push([d.prop, d.value]));
+      }
+      rule.walkDecls((d) => {
+        if (/^animation(-name)?$/.test(d.prop)) {
+          for (const word of d.value.split(/[\s,]+/)) if (keyframes.has(word)) related.add(keyframes.get(word));
+        }
+        for (const m of d.value.matchAll(/var\((--tw-[\w-]+)/g)) vars.add(m[1]);
+        if (d.prop.startsWith('--tw-')) own.add(d.prop);
+      });
     }
+    for (const kf of related) parts.push(formatNode(kf));
+    const used = Array.from(vars).filter((v) => defaults.has(v) && !own.has(v));
+    if (used.length > 0) {
+      parts.push(`*, ::before, ::after {\n${used.map((v) => `    ${v}: ${defaults.get(v)};`).join('\n')}\n}`);
+    }
+    const ownValues = new Map(plain.filter(([prop]) => prop.startsWith('--')));
+    const declarations = collectDeclarations(plain, (name) => (ownValues.has(name) ? ownValues.get(name) : defaults.get(name)));
+    map[cls] = { css: parts.join('\n\n') + '\n', declarations };
   }
   return map;
 }
 
-async function enumerateUtilities(projectDir, configPath) {
+function splitTopLevel(value, sep) {
+  const parts = [];
+  let level = 0;
+  let current = '';
+  for (const ch of value) {
+    if (ch === '(') level++;
+    else if (ch === ')') level--;
+    if (level === 0 && (sep === ' ' ? /\s/.test(ch) : ch === sep)) {
+      if (current.trim()) parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function parseCssDeclarations(text) {
+  const open = text.indexOf('{');
+  if (open !== -1) text = text.slice(open + 1, text.lastIndexOf('}') === -1 ? undefined : text.lastIndexOf('}'));
+  const out = [];
+  for (const part of splitTopLevel(text.replace(/\/\*[\s\S]*?\*\//g, ''), ';')) {
+    const colon = part.indexOf(':');
+    if (colon === -1) continue;
+    const property = part.slice(0, colon).trim().toLowerCase();
+    const value = part.slice(colon + 1).replace(/!important/i, '').trim();
+    if (property && value) out.push({ property, value });
+  }
+  return out;
+}
+
+const boxSides = ['top', 'right', 'bottom', 'left'];
+
+function expandBox(prefix, value, suffix = '') {
+  const v = splitTopLevel(value, ' ');
+  const [t, r = t, b = t, l = r] = v;
+  return [t, r, b, l].map((x, i) => [`${prefix}${boxSides[i]}${suffix}`, x]);
+}
+
+// Shorthands are expanded to physical longhands on both sides so `padding: 1rem 1.5rem` can match `py-4 px-6`
+function expandDeclaration(prop, value) {
+  let m;
+  if (prop === 'padding' || prop === 'margin') return expandBox(prop + '-', value);
+  if (prop === 'inset') return expandBox('', value);
+  if ((m = prop.match(/^(padding|margin)-(inline|block)$/))) {
+    const [a, b = a] = splitTopLevel(value, ' ');
+    const sides = m[2] === 'inline' ? ['left', 'right'] : ['top', 'bottom'];
+    return [[`${m[1]}-${sides[0]}`, a], [`${m[1]}-${sides[1]}`, b]];
+  }
+  if ((m = prop.match(/^inset-(inline|block)$/))) {
+    const [a, b = a] = splitTopLevel(value, ' ');
+    return m[1] === 'inline' ? [['left', a], ['right', b]] : [['top', a], ['bottom', b]];
+  }
+  if (prop === 'gap') {
+    const [row, col = row] = splitTopLevel(value, ' ');
+    return [['row-gap', row], ['column-gap', col]];
+  }
+  if (prop === 'overflow') {
+    const [x, y = x] = splitTopLevel(value, ' ');
+    return [['overflow-x', x], ['overflow-y', y]];
+  }
+  return [[prop, value]];
+}
+
+const namedColors = { black: [0, 0, 0, 1], white: [255, 255, 255, 1], transparent: [0, 0, 0, 0] };
+
+function parseAlpha(a) {
+  if (a == null) return 1;
+  return a.endsWith('%') ? parseFloat(a) / 100 : parseFloat(a);
+}
+
+function oklchToRgb(l, c, h) {
+  const a = c * Math.cos((h * Math.PI) / 180);
+  const b = c * Math.sin((h * Math.PI) / 180);
+  const l_ = (l + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m_ = (l - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s_ = (l - 0.0894841775 * a - 1.291485548 * b) ** 3;
+  const lin = [
+    4.0767416621 * l_ - 3.3077115913 * m_ + 0.2309699292 * s_,
+    -1.2684380046 * l_ + 2.6097574011 * m_ - 0.3413193965 * s_,
+    -0.0041960863 * l_ - 0.7034186147 * m_ + 1.707614701 * s_,
+  ];
+  return lin.map((x) => 255 * (x <= 0.0031308 ? 12.92 * x : 1.055 * Math.pow(x, 1 / 2.4) - 0.055));
+}
+
+function hslToRgb(h, s, l) {
+  const k = (n) => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return [f(0) * 255, f(8) * 255, f(4) * 255];
+}
+
+function parseColor(token) {
+  const t = token.toLowerCase();
+  if (namedColors[t]) return namedColors[t];
+  let m = t.match(/^#([0-9a-f]{3,8})$/);
+  if (m) {
+    let hex = m[1];
+    if (hex.length === 3 || hex.length === 4) hex = hex.replace(/./g, '$&$&');
+    if (hex.length !== 6 && hex.length !== 8) return null;
+    const n = (i) => parseInt(hex.slice(i, i + 2), 16);
+    return [n(0), n(2), n(4), hex.length === 8 ? n(6) / 255 : 1];
+  }
+  m = t.match(/^(rgba?|hsla?|oklch)\((.*)\)$/);
+  if (!m) return null;
+  const [channels, alpha] = m[2].includes('/') ? m[2].split('/').map((x) => x.trim()) : [m[2], null];
+  const parts = channels.split(/[\s,]+/).filter(Boolean);
+  const a = parseAlpha(alpha != null ? alpha : parts[3]);
+  const num = (x, scale) => (x.endsWith('%') ? (parseFloat(x) / 100) * scale : parseFloat(x));
+  let rgb;
+  if (m[1].startsWith('rgb')) rgb = parts.slice(0, 3).map((x) => num(x, 255));
+  else if (m[1].startsWith('hsl')) rgb = hslToRgb(parseFloat(parts[0]), num(parts[1], 100) / 100, num(parts[2], 100) / 100);
+  else rgb = oklchToRgb(num(parts[0], 1), num(parts[1], 0.4), parseFloat(parts[2]) || 0);
+  if (rgb.some((x) => Number.isNaN(x))) return null;
+  return [...rgb.map((x) => Math.max(0, Math.min(255, Math.round(x)))), Math.round(a * 100) / 100];
+}
+
+function parseLength(token) {
+  const m = token.match(/^(-?\d*\.?\d+)(px|rem|em)?$/);
+  if (!m) return null;
+  if (!m[2] && parseFloat(m[1]) !== 0) return null;
+  return parseFloat(m[1]) * (m[2] === 'rem' || m[2] === 'em' ? 16 : 1);
+}
+
+function evaluateCalc(token) {
+  // Tailwind v4 spacing is emitted as calc(<length> * <number>)
+  const m = token.match(/^calc\(\s*(-?[\d.]+(?:px|rem|em)?)\s*\*\s*(-?[\d.]+)\s*\)$/) || token.match(/^calc\(\s*(-?[\d.]+)\s*\*\s*(-?[\d.]+(?:px|rem|em)?)\s*\)$/);
+  if (!m) return token;
+  const [len, factor] = parseLength(m[1]) != null && /[a-z]/.test(m[1]) ? [m[1], m[2]] : [m[2], m[1]];
+  const px = parseLength(len);
+  return px == null ? token : `${px * parseFloat(factor)}px`;
+}
+
+function normalizeToken(token) {
+  token = evaluateCalc(token.toLowerCase());
+  const px = parseLength(token);
+  if (px != null) return `${Math.round(px * 1000) / 1000}px`;
+  const color = parseColor(token);
+  if (color) return `rgb(${color.slice(0, 3).join(' ')} / ${color[3]})`;
+  return token;
+}
+
+function normalizeValue(value) {
+  return splitTopLevel(value.trim(), ',')
+    .map((part) => splitTopLevel(part, ' ').map(normalizeToken).join(' '))
+    .join(', ');
+}
+
+function normalizedLonghands(declarations) {
+  const out = [];
+  for (const [prop, value] of Object.entries(declarations)) {
+    for (const [p, v] of expandDeclaration(prop, value)) out.push(`${p}: ${normalizeValue(v)}`);
+  }
+  return out;
+}
+
+// Distance between two normalized values of the same property; Infinity when they are not comparable
+function valueDistance(a, b) {
+  const pa = parseLength(a);
+  const pb = parseLength(b);
+  if (pa != null && pb != null) return Math.abs(pa - pb);
+  const ca = parseColor(a);
+  const cb = parseColor(b);
+  if (ca && cb) return Math.hypot(ca[0] - cb[0], ca[1] - cb[1], ca[2] - cb[2]) + Math.abs(ca[3] - cb[3]) * 255;
+  return Infinity;
+}
+
+function buildReverseIndex(declarationsByClass) {
+  const classes = [];
+  const byKey = new Map();
+  for (const [cls, declarations] of Object.entries(declarationsByClass)) {
+    // Arbitrary and negative utilities never improve on a theme class for matching
+    if (!declarations || cls.startsWith('-')) continue;
+    const keys = normalizedLonghands(declarations);
+    if (keys.length === 0) continue;
+    const entry = { cls, keys, props: keys.map((k) => k.slice(0, k.indexOf(':'))) };
+    classes.push(entry);
+    for (const key of keys) {
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(entry);
+    }
+  }
+  return { classes, byKey };
+}
+
+function arbitraryCandidates(shape, value) {
+  const out = [];
+  const segments = shape.cls.split('-');
+  for (let i = segments.length - 1; i > 0; i--) out.push(`${segments.slice(0, i).join('-')}-[${value.trim().replace(/\s+/g, '_')}]`);
+  return out;
+}
+
+function reverseLookup(index, cssText, engine) {
+  const input = parseCssDeclarations(cssText).map((d) => ({
+    ...d,
+    longhands: expandDeclaration(d.property, d.value).map(([p, v]) => ({ prop: p, value: v, key: `${p}: ${normalizeValue(v)}` })),
+  }));
+  const target = new Set(input.flatMap((d) => d.longhands.map((l) => l.key)));
+  const covered = new Map();
+  const chosen = [];
+
+  // Greedy cover with utilities whose every declaration is part of the input
+  const eligible = index.classes.filter((e) => e.keys.every((k) => target.has(k)));
+  for (;;) {
+    let best = null;
+    let bestGain = 0;
+    for (const e of eligible) {
+      const gain = e.keys.filter((k) => !covered.has(k)).length;
+      if (gain > bestGain || (gain === bestGain && gain > 0 && (e.cls.length < best.cls.length || (e.cls.length === best.cls.length && e.cls < best.cls)))) {
+        best = e;
+        bestGain = gain;
+      }
+    }
+    if (!best) break;
+    chosen.push(best.cls);
+    for (const k of best.keys) if (!covered.has(k)) covered.set(k, best.cls);
+  }
+
+  const declarations = input.map((d) => {
+    const classes = new Set();
+    const suggestions = [];
+    let match = 'exact';
+    const missing = d.longhands.filter((l) => {
+      if (covered.has(l.key)) classes.add(covered.get(l.key));
+      return !covered.has(l.key);
+    });
+
+    // Group the uncovered longhands by value so `padding: 13px` can become a single p-[13px]
+    const groups = new Map();
+    for (const l of missing) {
+      if (!groups.has(l.value)) groups.set(l.value, []);
+      groups.get(l.value).push(l);
+    }
+    for (const [value, longhands] of groups) {
+      const props = longhands.map((l) => l.prop).sort().join(',');
+      const shapes = index.classes.filter((e) => e.props.slice().sort().join(',') === props);
+      let arbitrary = null;
+      if (engine) {
+        const wanted = longhands.map((l) => l.key);
+        const tried = Array.from(new Set(shapes.slice(0, 20).flatMap((shape) => arbitraryCandidates(shape, value))));
+        const decls = tried.length > 0 ? engine.declarations(tried) : {};
+        arbitrary = tried.find((c) => {
+          const keys = normalizedLonghands(decls[c] || {});
+          return keys.length === wanted.length && wanted.every((k) => keys.includes(k));
+        });
+      }
+      if (arbitrary) {
+        classes.add(arbitrary);
+        chosen.push(arbitrary);
+        if (match === 'exact') match = 'arbitrary';
+        continue;
+      }
+      const normalized = normalizeValue(value);
+      let nearest = null;
+      let nearestDistance = Infinity;
+      for (const shape of shapes) {
+        const dist = valueDistance(shape.keys[0].slice(shape.keys[0].indexOf(':') + 2), normalized);
+        if (dist < nearestDistance) {
+          nearest = shape.cls;
+          nearestDistance = dist;
+        }
+      }
+      if (nearest) {
+        suggestions.push(nearest);
+        match = 'approximate';
+      } else {
+        match = 'none';
+      }
+    }
+    return {
+      property: d.property,
+      value: d.value,
+      exact: match === 'exact' || match === 'arbitrary',
+      match,
+      classes: Array.from(classes),
+      suggestions,
+    };
+  });
+
+  return { classes: Array.from(new Set(chosen)), declarations };
+}
+
+async function loadDeclarations({ project, config, css, out }, engine) {
+  const bundle = out ? readBundle(out) : null;
+  if (bundle && bundle.classes) {
+    const map = {};
+    for (const [cls, entry] of Object.entries(bundle.classes)) map[cls] = entry.declarations;
+    if (Object.values(map).some((d) => d && Object.keys(d).length > 0)) return map;
+  }
+  if (!engine) engine = await createEngine({ project, config, css });
+  return engine.declarations(engine.classList());
+}
+
+function lineAndColumn(lineStarts, position) {
+  let lo = 0;
+  let hi = lineStarts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (lineStarts[mid] <= position) lo = mid;
+    else hi = mid - 1;
+  }
+  return { line: lo + 1, column: position - lineStarts[lo] + 1 };
+}
+
+function findNearDuplicates(engine, used) {
+  // Classes setting the same single property to colors a few steps apart, e.g. text-gray-700 vs text-slate-700
+  const declarations = engine.declarations(used);
+  const byProperty = new Map();
+  for (const cls of used) {
+    const entries = Object.entries(declarations[cls] || {});
+    if (entries.length !== 1) continue;
+    const [prop, value] = entries[0];
+    const color = parseColor(normalizeValue(value));
+    if (!color || color[3] === 0) continue;
+    if (!byProperty.has(prop)) byProperty.set(prop, []);
+    byProperty.get(prop).push({ cls, value: normalizeValue(value) });
+  }
+  const out = [];
+  for (const [property, list] of byProperty) {
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const distance = valueDistance(list[i].value, list[j].value);
+        if (distance > 0 && distance < 24) out.push({ property, classes: [list[i].cls, list[j].cls], distance: Math.round(distance) });
+      }
+    }
+  }
+  return out.sort((a, b) => a.distance - b.distance);
+}
+
+async function collectUsage(project, engine) {
+  const scanned = await engine.scanContent();
+  const unique = Array.from(new Set(scanned.flatMap((f) => f.candidates.map((c) => c.candidate))));
+  const compiled = unique.length > 0 ? engine.compile(unique) : {};
+  const usage = new Map();
+  for (const { file, content, candidates } of scanned) {
+    const lineStarts = [0];
+    for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+    const rel = file ? path.relative(project, file) : null;
+    for (const { candidate, position } of candidates) {
+      if (!compiled[candidate]) continue;
+      if (!usage.has(candidate)) usage.set(candidate, { count: 0, locations: [] });
+      const entry = usage.get(candidate);
+      entry.count++;
+      if (rel !== null) entry.locations.push({ file: rel, ...lineAndColumn(lineStarts, position) });
+    }
+  }
+  const sorted = Array.from(usage.entries()).sort((a, b) => b[1].count - a[1].count || (a[0] < b[0] ? -1 : 1));
+  return {
+    files: scanned.filter((f) => f.file).length,
+    classes: Object.fromEntries(sorted),
+    nearDuplicates: findNearDuplicates(engine, sorted.map(([cls]) => cls)),
+  };
+}
+
+const deprecatedClasses = {
+  'flex-grow': 'grow',
+  'flex-grow-0': 'grow-0',
+  'flex-shrink': 'shrink',
+  'flex-shrink-0': 'shrink-0',
+  'overflow-ellipsis': 'text-ellipsis',
+  'decoration-slice': 'box-decoration-slice',
+  'decoration-clone': 'box-decoration-clone',
+};
+
+function deprecationFor(utility) {
+  if (deprecatedClasses[utility]) return `\`${utility}\` is deprecated; use \`${deprecatedClasses[utility]}\``;
+  const m = utility.match(/^(bg|text|border|divide|ring|placeholder)-opacity-(.+)$/);
+  if (m) return `\`${utility}\` is deprecated; use an opacity modifier such as \`${m[1]}-<color>/${m[2]}\``;
+  return null;
+}
+
+// Splits `md:hover:!p-4` into its variants and bare utility, keeping `!` as a flag
+function splitVariants(cls) {
+  const parts = [];
+  let level = 0;
+  let current = '';
+  for (const ch of cls) {
+    if (ch === '[' || ch === '(') level++;
+    else if (ch === ']' || ch === ')') level--;
+    if (ch === ':' && level === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  let utility = current;
+  const important = utility.startsWith('!') || utility.endsWith('!');
+  utility = utility.replace(/^!|!$/g, '');
+  return { variants: parts, utility, important };
+}
+
+function unknownUtilityReason(engine, utility) {
+  if (utility.startsWith('[')) return `Invalid arbitrary property \`${utility}\``;
+  const open = utility.indexOf('-[');
+  if (open === -1) return `Unknown utility \`${utility}\``;
+  const root = utility.slice(0, open).replace(/^-/, '');
+  const known = engine.classList().some((cls) => cls === root || cls.startsWith(root + '-'));
+  if (!known) return `Unknown utility \`${root}\``;
+  return `Arbitrary value \`${utility.slice(open + 1)}\` is not valid for \`${root}\``;
+}
+
+// Compiles any candidates, including arbitrary values, and says why the ones without CSS failed
+function checkCandidates(engine, classes) {
+  const css = engine.compile(classes);
+  const failed = classes.filter((cls) => !css[cls]).map((cls) => ({ cls, ...splitVariants(cls) }));
+  // Probe the bare utility, then each variant on it and on a plain utility, in a single compile
+  const probes = new Set();
+  for (const f of failed) {
+    probes.add(f.utility);
+    for (const v of f.variants) probes.add(`${v}:${f.utility}`).add(`${v}:block`);
+  }
+  const probed = probes.size > 0 ? engine.compile(Array.from(probes)) : {};
+  const out = {};
+  for (const cls of classes) out[cls] = { valid: Boolean(css[cls]), css: css[cls] || '', reason: null };
+  for (const f of failed) {
+    let reason;
+    if (!f.cls.trim()) reason = 'Empty class name';
+    else if (!probed[f.utility]) reason = unknownUtilityReason(engine, f.utility);
+    else {
+      const variant = f.variants.find((v) => !probed[`${v}:${f.utility}`]);
+      if (variant === undefined) reason = `Variants \`${f.variants.join(':')}\` cannot be combined`;
+      else if (!probed[`${variant}:block`]) reason = `Unknown variant \`${variant}\``;
+      else reason = `Variant \`${variant}\` cannot be applied to \`${f.utility}\``;
+    }
+    out[f.cls].reason = reason;
+  }
+  return out;
+}
+
+function tokenizeClassString(text, offset) {
+  const tokens = [];
+  for (const m of text.matchAll(/\S+/g)) tokens.push({ cls: m[0], start: offset + m.index, end: offset + m.index + m[0].length });
+  return tokens;
+}
+
+// Class strings from class/className attributes and @apply rules, with their offsets in the file
+function extractClassStrings(content) {
+  const out = [];
+  const attr = /(?<!:)\b(?:class|className)\s*=\s*\{?\s*(["'`])((?:(?!\1)[\s\S])*)\1/g;
+  for (const m of content.matchAll(attr)) out.push({ text: m[2], offset: m.index + m[0].length - m[2].length - 1 });
+  // Vue :class and v-bind:class values are expressions; only their string literals hold classes
+  const bound = /(?:\bv-bind)?:class\s*=\s*(["'])((?:(?!\1)[\s\S])*)\1/g;
+  for (const m of content.matchAll(bound)) {
+    const start = m.index + m[0].length - m[2].length - 1;
+    for (const lit of m[2].matchAll(/(["'`])((?:(?!\1)[^\\])*)\1/g)) out.push({ text: lit[2], offset: start + lit.index + 1 });
+  }
+  for (const m of content.matchAll(/@apply\s+([^;}]+)/g)) out.push({ text: m[1], offset: m.index + m[0].length - m[1].length });
+  return out;
+}
+
+function lintClassStrings(engine, strings) {
+  // Interpolations such as ${active ? 'a' : 'b'} are blanked so offsets stay valid
+  const blank = (text) => text.replace(/\$\{[^}]*\}/g, (m) => ' '.repeat(m.length));
+  const tokens = strings.flatMap((s) => tokenizeClassString(blank(s.text), s.offset).map((t) => ({ ...t, group: s })));
+  const candidates = tokens.filter((t) => !/[${}'"`]/.test(t.cls));
+  const unique = Array.from(new Set(candidates.map((t) => t.cls)));
+  const compiled = unique.length > 0 ? checkCandidates(engine, unique) : {};
+  const utilities = Array.from(new Set(candidates.map((t) => splitVariants(t.cls).utility)));
+  const declarations = utilities.length > 0 ? engine.declarations(utilities) : {};
+  const valid = unique.filter((cls) => compiled[cls].valid);
+  const order = new Map(valid.length > 0 ? engine.classOrder(valid) : []);
+  // The cascade decides which class is in effect, not its place in the string: later rules win,
+  // classes outside the utility order (v4 @layer classes) lose to utilities, and ties go to position
+  const beats = (a, b) => {
+    const x = order.get(a.cls);
+    const y = order.get(b.cls);
+    if (x != null && y != null && x !== y) return x > y;
+    if ((x == null) !== (y == null)) return y == null;
+    return a.start > b.start;
+  };
+
+  const diagnostics = [];
+  for (const group of strings) {
+    // Per variant and longhand, the class currently in effect
+    const seen = new Map();
+    for (const token of candidates.filter((t) => t.group === group)) {
+      const { variants, utility, important } = splitVariants(token.cls);
+      const at = { start: token.start, end: token.end, class: token.cls };
+      const deprecated = deprecationFor(utility);
+      if (deprecated) diagnostics.push({ ...at, severity: 'warning', code: 'deprecated', message: deprecated });
+      if (!compiled[token.cls].valid) {
+        diagnostics.push({ ...at, severity: 'warning', code: 'unknown-class', message: `\`${token.cls}\`: ${compiled[token.cls].reason}` });
+        continue;
+      }
+      const key = variants.slice().sort().join(':') + (important ? '!' : '');
+      for (const [prop, value] of Object.entries(declarations[utility] || {})) {
+        for (const [longhand] of expandDeclaration(prop, value)) {
+          const slot = key + '|' + longhand;
+          const previous = seen.get(slot);
+          if (!previous || previous.cls === token.cls) {
+            seen.set(slot, token);
+            continue;
+          }
+          const [winner, loser] = beats(token, previous) ? [token, previous] : [previous, token];
+          diagnostics.push({
+            start: winner.start,
+            end: winner.end,
+            class: winner.cls,
+            severity: 'error',
+            code: 'conflict',
+            message: `\`${winner.cls}\` overrides \`${loser.cls}\` (both set ${longhand}${variants.length ? ' under ' + variants.join(':') : ''})`,
+            related: { start: loser.start, end: loser.end, class: loser.cls },
+          });
+          seen.set(slot, winner);
+        }
+      }
+    }
+  }
+  // One conflict diagnostic per class pair is enough even when several longhands overlap
+  const deduped = new Map();
+  for (const d of diagnostics) {
+    const k = `${d.code}|${d.start}|${d.related ? d.related.start : ''}`;
+    if (!deduped.has(k)) deduped.set(k, d);
+  }
+  return Array.from(deduped.values()).sort((a, b) => a.start - b.start);
+}
+
+function withPositions(content, diagnostics, file) {
+  const lineStarts = [0];
+  for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+  return diagnostics.map((d) => ({ file, ...lineAndColumn(lineStarts, d.start), ...d }));
+}
+
+function lintText(engine, text, file = null) {
+  const strings = file ? extractClassStrings(text) : [];
+  if (!file) {
+    // Without a file every stdin line is one class string
+    let offset = 0;
+    for (const line of text.split('\n')) {
+      strings.push({ text: line, offset });
+      offset += line.length + 1;
+    }
+  }
+  return withPositions(text, lintClassStrings(engine, strings), file);
+}
+
+// Same order as prettier-plugin-tailwindcss: unknown classes first in their original order,
+// then by layer, variant and rule order; duplicates are dropped
+function sortClassString(engine, text) {
+  const classes = Array.from(new Set(text.split(/\s+/).filter(Boolean)));
+  const ordered = engine.classOrder(classes);
+  ordered.sort(([, a], [, z]) => {
+    if (a === z) return 0;
+    if (a === null) return -1;
+    if (z === null) return 1;
+    return a < z ? -1 : 1;
+  });
+  return ordered.map(([cls]) => cls).join(' ');
+}
+
+async function enumerateUtilities(projectDir, engine) {
+  const errors = [];
+  try {
+    if (!engine) throw new Error('tailwindcss context unavailable');
+    const names = engine.classList();
+    if (names.length > 0) return { classes: names.sort(), source: 'tailwindcss', errors };
+    errors.push('tailwindcss context listed no classes');
+  } catch (e) {
+    errors.push(e.message);
+  }
+
   try {
     const tlsPath = require.resolve('tailwindcss-language-service', { paths: [projectDir] });
     const tls = require(tlsPath);
@@ -87,9 +1553,11 @@ async function enumerateUtilities(projectDir, configPath) {
     const state = tls.getDefaultState();
     if (typeof tls.getClassNames === 'function') {
       const names = Array.from(new Set(tls.getClassNames(state)));
-      return expandFlexUtilities(expandSpacingUtilities(names)).sort();
+      return { classes: expandFlexUtilities(expandSpacingUtilities(names)).sort(), source: 'language-service', errors };
     }
-  } catch {}
+  } catch (e) {
+    errors.push('tailwindcss-language-service: ' + e.message.split('\n')[0]);
+  }
 
   const base = [
     // Layout
@@ -318,7 +1786,7 @@ async function enumerateUtilities(projectDir, configPath) {
     'box-border','box-content',
     'truncate','text-ellipsis','text-clip'
   ];
-  return expandFlexUtilities(expandSpacingUtilities(base)).sort();
+  return { classes: expandFlexUtilities(expandSpacingUtilities(base)).sort(), source: 'fallback', errors };
 }
 
 function expandSpacingUtilities(list) {
@@ -342,47 +1810,801 @@ function expandFlexUtilities(list) {
   return Array.from(set);
 }
 
-async function buildIndex({ project, config, out, debug }) {
+async function buildIndex({ project, config, css, out, debug, engine = null }) {
   ensureDir(out);
 
-  const classes = await enumerateUtilities(project, config);
+  // Every stage degrades instead of aborting the build; meta.json records which ones did
+  const stages = { context: { ok: true }, classes: { ok: true }, compile: { ok: true }, metadata: { ok: true } };
+  const fail = (stage, message, extra = {}) => {
+    stages[stage] = { ok: false, error: message, ...extra };
+    if (debug) console.error(`${stage} failed:`, message);
+  };
 
-  let css = '';
+  if (!engine) {
+    try {
+      engine = await createEngine({ project, config, css });
+    } catch (e) {
+      fail('context', e.message);
+    }
+  }
+
+  const { classes, source, errors } = await enumerateUtilities(project, engine);
+  if (source === 'tailwindcss') stages.classes.source = source;
+  else fail('classes', errors.join('; '), { source });
+  const variants = engine ? engine.variants() : [];
+
+  let classToRules = {};
   let compiled = false;
   try {
-    await checkTailwindVersion(project);
-    css = await compileUtilities(project, config, classes);
-    compiled = !!css;
+    if (!engine) throw new Error('tailwindcss context unavailable');
+    classToRules = await engine.compileIndex(classes);
+    compiled = classes.some((cls) => classToRules[cls] && classToRules[cls].css);
+    if (!compiled) fail('compile', 'no CSS was generated for any class');
   } catch (e) {
-    if (debug) console.error('Compile failed:', e.message);
+    fail('compile', e.message);
   }
 
-  const classToCss = extractRulesForClasses(css || '', classes);
+  let metadata = new Map();
+  try {
+    if (!engine) throw new Error('tailwindcss context unavailable');
+    const cssByClass = {};
+    for (const cls of classes) cssByClass[cls] = (classToRules[cls] && classToRules[cls].css) || '';
+    metadata = engine.metadata(classes, cssByClass);
+  } catch (e) {
+    fail('metadata', e.message);
+  }
 
-  fs.writeFileSync(path.join(out, 'classes.json'), JSON.stringify(classes, null, 2));
-  const fnameMap = {};
+  const bundle = { version: 1, variants, classes: {} };
   for (const cls of classes) {
-    const file = sanitizeClassToFilename(cls) + '.css';
-    fnameMap[sanitizeClassToFilename(cls)] = cls;
-    fs.writeFileSync(path.join(out, file), (classToCss[cls] || '').trim() + '\n');
+    const rules = classToRules[cls] || {};
+    const css = (rules.css || '').trim();
+    const declarations = rules.declarations || {};
+    const { plugin = null, category = null, themePath = null } = metadata.get(cls) || {};
+    bundle.classes[cls] = {
+      css,
+      category: category || categorizeCss(css),
+      plugin,
+      themePath,
+      declarations,
+      resolved: resolvedValues(declarations),
+    };
+  }
+
+  const changes = diffBundles(readBundle(out), bundle);
+  const dirty = changes.added.length + changes.removed.length + changes.changed.length > 0;
+  if (dirty || !fs.existsSync(path.join(out, 'index.json'))) {
+    fs.writeFileSync(path.join(out, 'index.json'), JSON.stringify(bundle));
+  }
+  removeLegacyCacheFiles(out);
+
+  const dependencies = engine ? engine.dependencies() : [];
+  const meta = {
+    compiled,
+    tailwind: engine ? engine.version : null,
+    entry: engine ? engine.entry : null,
+    configHash: engine ? engine.configHash() : null,
+    plugins: pluginVersions(dependencies),
+    classes: classes.length,
+    dependencies,
+    stages,
+    changes: { added: changes.added.length, removed: changes.removed.length, changed: changes.changed.length },
+  };
+  fs.writeFileSync(path.join(out, 'meta.json'), JSON.stringify(meta, null, 2));
+  const failed = Object.keys(stages).filter((stage) => !stages[stage].ok);
+  return { compiled, classes: classes.length, variants: variants.length, failed, ...changes };
+}
+
+async function printIndex(args) {
+  process.stdout.write(JSON.stringify(await buildIndex(args)) + '\n');
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (d) => (data += d));
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+async function printReverse(args) {
+  let engine = null;
+  try {
+    engine = await createEngine(args);
+  } catch (e) {
+    if (args.debug) console.error('Context setup failed:', e.message);
+  }
+  const index = buildReverseIndex(await loadDeclarations(args, engine));
+  process.stdout.write(JSON.stringify(reverseLookup(index, await readStdin(), engine)) + '\n');
+}
+
+async function printUsage(args) {
+  const engine = await createEngine(args);
+  process.stdout.write(JSON.stringify(await collectUsage(args.project, engine)) + '\n');
+}
+
+async function printLint(args) {
+  const engine = await createEngine(args);
+  let diagnostics = [];
+  if (args.files && args.files.length > 0) {
+    for (const file of args.files) {
+      const abs = path.resolve(file);
+      diagnostics = diagnostics.concat(lintText(engine, fs.readFileSync(abs, 'utf8'), path.relative(process.cwd(), abs)));
+    }
+  } else {
+    diagnostics = lintText(engine, await readStdin());
+  }
+  process.stdout.write(JSON.stringify({ diagnostics }) + '\n');
+  return diagnostics.some((d) => d.severity === 'error') ? 1 : 0;
+}
+
+async function printVariants(args) {
+  const engine = await createEngine(args);
+  process.stdout.write(JSON.stringify(engine.variants()) + '\n');
+}
+
+async function printCompiled(args) {
+  const engine = await createEngine(args);
+  const list = (args.classes || '').split(/\s+/).filter(Boolean);
+  process.stdout.write(JSON.stringify(checkCandidates(engine, list)) + '\n');
+}
+
+async function printSorted(args) {
+  const engine = await createEngine(args);
+  const inputs = args.classes ? [args.classes] : (await readStdin()).split('\n').filter((line) => line.trim());
+  process.stdout.write(JSON.stringify({ sorted: inputs.map((text) => sortClassString(engine, text)) }) + '\n');
+}
+
+function pluginName(plugin, i) {
+  const handler = typeof plugin === 'function' ? plugin : plugin && plugin.handler;
+  const name = handler && handler.name && handler.name !== 'handler' ? handler.name : null;
+  return name ? `plugins[${i}] (${name})` : `plugins[${i}]`;
+}
+
+// engines.node of the tailwind packages the project loads; v4 also runs oxide's native binding
+function nodeRequirements(projectDir, tw) {
+  const requires = [];
+  const add = (name, pkgPath) => {
+    const range = ((readJson(pkgPath) || {}).engines || {}).node;
+    if (range) requires.push({ name, range });
+  };
+  add('tailwindcss', path.join(tw.root, 'package.json'));
+  if (tw.major >= 4) {
+    for (const host of tailwindPackageHosts(projectDir)) {
+      let pkg = null;
+      try {
+        pkg = packageRootOf(require.resolve('@tailwindcss/oxide', { paths: [host] }));
+      } catch {}
+      if (pkg) {
+        add(pkg.name, path.join(pkg.dir, 'package.json'));
+        break;
+      }
+    }
   }
-  fs.writeFileSync(path.join(out, 'filename-map.json'), JSON.stringify(fnameMap, null, 2));
-  fs.writeFileSync(path.join(out, 'meta.json'), JSON.stringify({ compiled }, null, 2));
+  return requires;
 }
 
+// Enough of semver ranges for engines fields: comparators, ^, ~, x-ranges and || alternatives
+function satisfiesRange(version, range) {
+  const parse = (v) => v.split('.').map((n) => (/^\d+$/.test(n) ? Number(n) : null));
+  const compare = (a, b) => {
+    for (let i = 0; i < 3; i++) {
+      if ((a[i] || 0) !== (b[i] || 0)) return (a[i] || 0) - (b[i] || 0);
+    }
+    return 0;
+  };
+  const current = parse(version.split('-')[0]);
+  return range.split('||').some((alt) => {
+    const comparators = alt.trim().replace(/([<>=^~]+)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    return comparators.every((comparator) => {
+      const [, op, raw] = comparator.match(/^([<>=^~]*)v?(.*)$/);
+      if (raw === '' || raw === '*' || /^x$/i.test(raw)) return true;
+      const parts = parse(raw.replace(/[xX*]/g, '').replace(/\.+$/, ''));
+      const cmp = compare(current, parts);
+      const samePrefix = (n) => parts.slice(0, n).every((p, i) => p === current[i]);
+      if (op === '>=') return cmp >= 0;
+      if (op === '>') return cmp > 0;
+      if (op === '<=') return cmp <= 0;
+      if (op === '<') return cmp < 0;
+      if (op === '^') return cmp >= 0 && samePrefix(parts[0] === 0 ? 2 : 1);
+      if (op === '~') return cmp >= 0 && samePrefix(Math.min(parts.length, 2));
+      return samePrefix(parts.length) && (parts.length < 3 || cmp === 0);
+    });
+  });
+}
+
+// Runs each setup step on its own so one failure does not hide the next; steps that depend on
+// a failed one are reported as skipped
+async function runDoctor({ project, config, css, out }) {
+  const steps = [];
+  const add = (step, status, detail = {}, extra = {}) => steps.push({ step, status, detail, ...extra });
+  const skipped = (step, reason) => add(step, 'skip', {}, { error: reason });
+
+  let tw = null;
+  let twError = null;
+  try {
+    tw = await checkTailwindVersion(project);
+  } catch (e) {
+    twError = e.message;
+  }
+
+  const requires = tw ? nodeRequirements(project, tw) : [];
+  const unmet = requires.filter((r) => !satisfiesRange(process.versions.node, r.range));
+  if (!tw) add('node', 'skip', { version: process.versions.node }, { error: 'tailwindcss unavailable' });
+  else if (unmet.length === 0) add('node', 'pass', { version: process.versions.node, requires });
+  else {
+    const hint = `${unmet.map((r) => `${r.name} requires Node.js ${r.range}`).join('; ')} (engines.node)`;
+    add('node', 'fail', { version: process.versions.node, requires }, { hint });
+  }
+
+  if (tw) add('tailwindcss', 'pass', { version: tw.version, path: tw.root });
+  else add('tailwindcss', 'fail', {}, { error: twError, hint: 'Install tailwindcss v3 or v4 in the project: npm install -D tailwindcss' });
+
+  let resolvedConfig = null;
+  let entry = null;
+  let designSystem = null;
+  if (!tw) skipped('config', 'tailwindcss unavailable');
+  else if (tw.major === 3) {
+    if (!config) add('config', 'fail', {}, { error: 'No config given', hint: 'Pass --config <tailwind.config.*>' });
+    else {
+      try {
+        resolvedConfig = loadTailwindConfig(project, config);
+        entry = css ? path.resolve(project, css) : findEntryCss(project, tailwindDirective);
+        if (entry) {
+          try {
+            requireFromProject(tw.root, 'postcss').parse(fs.readFileSync(entry, 'utf8'), { from: entry });
+          } catch (e) {
+            resolvedConfig = null;
+            add('config', 'fail', { path: path.resolve(project, config), entry }, { error: e.message, hint: `Fix the CSS syntax error in ${entry}` });
+          }
+        }
+        if (resolvedConfig) add('config', 'pass', { path: path.resolve(project, config), entry });
+      } catch (e) {
+        const missing = e.message.match(/Cannot find module '([^']+)'/);
+        const hint = missing
+          ? `The config requires ${missing[1]}, which does not resolve; install it or fix the path`
+          : 'Fix the syntax or runtime error in the config file';
+        add('config', 'fail', { path: path.resolve(project, config) }, { error: e.message.split('\n')[0], hint });
+      }
+    }
+  } else {
+    entry = css ? path.resolve(project, css) : findEntryCss(project);
+    if (!entry) add('config', 'fail', {}, { error: 'No CSS file imports "tailwindcss"', hint: 'Add @import "tailwindcss" to the main stylesheet or pass --css' });
+    else {
+      try {
+        designSystem = await loadDesignSystem(project, entry);
+        add('config', 'pass', { path: entry });
+      } catch (e) {
+        add('config', 'fail', { path: entry }, { error: e.message.split('\n')[0], hint: 'Fix the error in the stylesheet or in a file it loads with @import, @plugin or @config' });
+      }
+    }
+  }
+
+  if (!tw || (tw.major === 3 && !resolvedConfig) || (tw.major >= 4 && !designSystem)) skipped('plugins', 'config unavailable');
+  else {
+    const failures = [];
+    let count = 0;
+    if (tw.major === 3) {
+      // One context per plugin pins an error on the plugin that raised it
+      const { createContext } = requireFromProject(project, 'tailwindcss/lib/lib/setupContextUtils');
+      const plugins = resolvedConfig.plugins || [];
+      count = plugins.length;
+      plugins.forEach((plugin, i) => {
+        try {
+          createContext({ ...resolvedConfig, plugins: [plugin] });
+        } catch (e) {
+          failures.push({ plugin: pluginName(plugin, i), error: e.message.split('\n')[0] });
+        }
+      });
+    } else {
+      const twNode = resolveTailwindPackage(project, '@tailwindcss/node');
+      for (const m of fs.readFileSync(entry, 'utf8').matchAll(/@plugin\s+['"]([^'"]+)['"]/g)) {
+        count++;
+        try {
+          await twNode.compile(`@plugin "${m[1]}";`, { base: path.dirname(entry), onDependency: () => {} });
+        } catch (e) {
+          failures.push({ plugin: m[1], error: e.message.split('\n')[0] });
+        }
+      }
+    }
+    if (failures.length === 0) add('plugins', 'pass', { count });
+    else add('plugins', 'fail', { count, failures }, { hint: 'Update or remove the failing plugins: ' + failures.map((f) => f.plugin).join(', ') });
+  }
+
+  if (!tw || (tw.major === 3 && !resolvedConfig) || (tw.major >= 4 && !designSystem)) skipped('content', 'config unavailable');
+  else if (tw.major === 3) {
+    const fg = requireFromProject(tw.root, 'fast-glob');
+    const files = (resolvedConfig.content && resolvedConfig.content.files) || [];
+    const globs = files.filter((f) => typeof f === 'string').map((pattern) => {
+      try {
+        return { pattern, files: fg.sync(pattern, { cwd: project, ignore: ['**/node_modules/**'] }).length };
+      } catch (e) {
+        return { pattern, files: 0, error: e.message };
+      }
+    });
+    const raw = files.length - globs.length;
+    const empty = globs.filter((g) => g.files === 0).map((g) => g.pattern);
+    if (globs.length + raw === 0) add('content', 'fail', { globs }, { error: 'content is empty', hint: 'Set content in the config to the template files that use Tailwind classes' });
+    else if (globs.length > 0 && empty.length === globs.length && raw === 0) add('content', 'fail', { globs }, { error: 'No file matches any content glob', hint: `Globs are relative to ${project}; fix content in the config` });
+    else if (empty.length > 0) add('content', 'warn', { globs }, { error: 'Some content globs match no files', hint: 'Remove or fix: ' + empty.join(', ') });
+    else add('content', 'pass', { globs });
+  } else {
+    try {
+      const files = await scanContentV4(project, entry);
+      if (files.length > 0) add('content', 'pass', { files: files.length });
+      else add('content', 'fail', { files: 0 }, { error: 'No source files detected', hint: 'Add @source rules to the stylesheet pointing at your templates' });
+    } catch (e) {
+      add('content', 'warn', {}, { error: e.message.split('\n')[0], hint: 'Install @tailwindcss/oxide to scan sources (used by --mode usage)' });
+    }
+  }
+
+  try {
+    add('language-service', 'pass', { path: require.resolve('tailwindcss-language-service', { paths: [project] }) });
+  } catch {
+    add('language-service', 'warn', {}, {
+      error: 'tailwindcss-language-service not found',
+      hint: 'Optional: install it so classes can still be listed when the Tailwind context fails to load',
+    });
+  }
+
+  if (!out) skipped('cache', 'no --out given');
+  else {
+    try {
+      ensureDir(out);
+      const probe = path.join(out, '.doctor-probe');
+      fs.writeFileSync(probe, '');
+      fs.rmSync(probe);
+      add('cache', 'pass', { path: path.resolve(out) });
+    } catch (e) {
+      add('cache', 'fail', { path: path.resolve(out) }, { error: e.message, hint: 'Fix the permissions of the cache directory or remove it so it can be recreated' });
+    }
+  }
+
+  return { ok: steps.every((s) => s.status !== 'fail'), steps };
+}
+
+async function printDoctor(args) {
+  const report = await runDoctor(args);
+  process.stdout.write(JSON.stringify(report) + '\n');
+  return report.ok ? 0 : 1;
+}
+
+const configNames = ['js', 'cjs', 'mjs', 'ts', 'cts', 'mts'].map((ext) => 'tailwind.config.' + ext);
+const v4Packages = ['@tailwindcss/vite', '@tailwindcss/postcss', '@tailwindcss/cli', '@tailwindcss/node'];
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function globToRegExp(pattern) {
+  const body = pattern
+    .replace(/^\.\//, '')
+    .replace(/\/+$/, '')
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\//g, '\0')
+    .replace(/\*\*/g, '\x01')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\0/g, '(?:.*/)?')
+    .replace(/\x01/g, '.*');
+  return new RegExp('^' + body + '$');
+}
+
+// Workspace globs from package.json (npm, yarn, bun) and pnpm-workspace.yaml
+function workspacePatterns(root) {
+  const patterns = [];
+  const pkg = readJson(path.join(root, 'package.json')) || {};
+  if (Array.isArray(pkg.workspaces)) patterns.push(...pkg.workspaces);
+  else if (pkg.workspaces && Array.isArray(pkg.workspaces.packages)) patterns.push(...pkg.workspaces.packages);
+  const pnpm = path.join(root, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpm)) {
+    let inPackages = false;
+    for (const line of fs.readFileSync(pnpm, 'utf8').split('\n')) {
+      if (/^\S/.test(line)) inPackages = /^packages\s*:/.test(line);
+      const m = inPackages && line.match(/^\s+-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/);
+      if (m) patterns.push(m[1]);
+    }
+  }
+  return patterns;
+}
+
+function listDirectories(root, maxDepth = 5) {
+  const ignore = new Set(['.git', 'node_modules', 'dist', 'build']);
+  const dirs = [];
+  const scan = (dir, depth) => {
+    dirs.push(dir);
+    if (depth >= maxDepth) return;
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {}
+    for (const e of entries) if (e.isDirectory() && !ignore.has(e.name)) scan(path.join(dir, e.name), depth + 1);
+  };
+  scan(root, 0);
+  return dirs;
+}
+
+function dependsOnTailwind(dir) {
+  const pkg = readJson(path.join(dir, 'package.json'));
+  if (!pkg) return false;
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  return Boolean(deps.tailwindcss) || v4Packages.some((name) => deps[name]);
+}
+
+// Candidate project directories: workspace packages, any directory holding a tailwind.config.*, and the root
+async function discoverProjects(root) {
+  const patterns = workspacePatterns(root);
+  const include = patterns.filter((p) => !p.startsWith('!')).map(globToRegExp);
+  const exclude = patterns.filter((p) => p.startsWith('!')).map((p) => globToRegExp(p.slice(1)));
+  const projects = [];
+  for (const dir of listDirectories(root)) {
+    const rel = path.relative(root, dir).split(path.sep).join('/');
+    const inWorkspace = rel !== '' && include.some((re) => re.test(rel)) && !exclude.some((re) => re.test(rel));
+    const config = configNames.map((name) => path.join(dir, name)).find((file) => fs.existsSync(file)) || null;
+    if (!config && !inWorkspace && rel !== '') continue;
+    let tw;
+    try {
+      tw = await checkTailwindVersion(dir);
+    } catch {
+      continue;
+    }
+    if (tw.major === 3 && !config) continue;
+    if (tw.major >= 4 && !config && !dependsOnTailwind(dir)) continue;
+    const pkg = readJson(path.join(dir, 'package.json')) || {};
+    projects.push({ name: pkg.name || rel || path.basename(root), dir, config, tailwind: tw.version, major: tw.major });
+  }
+  return projects;
+}
+
+function bundleValue(entry) {
+  const resolved = (entry && entry.resolved) || {};
+  if (resolved.color) return resolved.color.hex;
+  if (resolved.px !== undefined) return resolved.px + 'px';
+  return null;
+}
+
+function compareBundles(projects, bundles) {
+  const names = projects.map((p) => p.name);
+  const classes = [];
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      const a = bundles[names[i]].classes;
+      const b = bundles[names[j]].classes;
+      classes.push({
+        a: names[i],
+        b: names[j],
+        onlyInA: Object.keys(a).filter((cls) => !b[cls]).sort(),
+        onlyInB: Object.keys(b).filter((cls) => !a[cls]).sort(),
+      });
+    }
+  }
+  // Shared classes whose resolved color or length differs, grouped by the theme paths behind them
+  const groups = new Map();
+  const all = new Set(names.flatMap((name) => Object.keys(bundles[name].classes)));
+  for (const cls of all) {
+    const values = {};
+    const paths = {};
+    for (const name of names) {
+      const entry = bundles[name].classes[cls];
+      const value = bundleValue(entry);
+      if (value === null) continue;
+      values[name] = value;
+      paths[name] = entry.themePath;
+    }
+    if (Object.keys(values).length < 2 || new Set(Object.values(values)).size < 2) continue;
+    const key = JSON.stringify([paths, values]);
+    if (!groups.has(key)) groups.set(key, { paths, values, classes: [] });
+    groups.get(key).classes.push(cls);
+  }
+  return { classes, theme: Array.from(groups.values()) };
+}
+
+async function indexWorkspace({ project: root, out, debug }) {
+  ensureDir(out);
+  const projects = await discoverProjects(root);
+  const engines = new Map();
+  for (const p of projects) {
+    try {
+      engines.set(p.dir, await createEngine({ project: p.dir, config: p.config }));
+    } catch (e) {
+      p.error = e.message || String(e);
+    }
+  }
+
+  // A config another project's config requires is a shared preset, not an app of its own
+  const usedBy = new Map();
+  for (const p of projects) {
+    const engine = engines.get(p.dir);
+    if (!engine) continue;
+    for (const file of engine.dependencies()) {
+      if (file === p.config || file === engine.entry || path.basename(file) === 'package.json') continue;
+      if (/node_modules[\\/]tailwindcss[\\/]/.test(file)) continue;
+      if (!usedBy.has(file)) usedBy.set(file, []);
+      usedBy.get(file).push(p.name);
+    }
+  }
+  const presetConfigs = new Set(projects.filter((p) => p.config && usedBy.has(p.config)).map((p) => p.config));
+  const apps = projects.filter((p) => !presetConfigs.has(p.config));
+  const presets = Array.from(usedBy)
+    .filter(([file, names]) => names.length > 1 || presetConfigs.has(file))
+    .map(([file, names]) => ({ file: path.relative(root, file), usedBy: names }));
+
+  const bundles = {};
+  for (const p of apps) {
+    p.out = path.join(out, p.name.replace(/[^\w.-]+/g, '_'));
+    const engine = engines.get(p.dir);
+    if (!engine) continue;
+    try {
+      const result = await buildIndex({ project: p.dir, config: p.config, out: p.out, debug, engine });
+      p.entry = engine.entry;
+      p.classes = result.classes;
+      bundles[p.name] = readBundle(p.out);
+    } catch (e) {
+      p.error = e.message || String(e);
+    }
+  }
+
+  const indexed = apps.filter((p) => bundles[p.name]);
+  const report = {
+    root,
+    projects: apps.map(({ major, ...p }) => p),
+    presets,
+    ...compareBundles(indexed, bundles),
+  };
+  fs.writeFileSync(path.join(out, 'workspace.json'), JSON.stringify(report, null, 2));
+  return report;
+}
+
+async function printWorkspace(args) {
+  process.stdout.write(JSON.stringify(await indexWorkspace(args)) + '\n');
+}
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const rpcMethods = {
+  async index(session, params) {
+    const out = params.out || session.args.out;
+    if (!out) throw new RpcError(-32602, 'index requires params.out');
+    let engine = null;
+    try {
+      engine = await session.engine();
+    } catch {}
+    return buildIndex({ ...session.args, out, engine });
+  },
+  async resolveClass(session, params) {
+    if (typeof params.name !== 'string' || !params.name) throw new RpcError(-32602, 'resolveClass requires params.name');
+    const css = (await session.engine()).compile([params.name])[params.name];
+    return { name: params.name, valid: css !== '', css };
+  },
+  async compile(session, params) {
+    if (!Array.isArray(params.classes)) throw new RpcError(-32602, 'compile requires params.classes to be an array');
+    return checkCandidates(await session.engine(), params.classes);
+  },
+  async sort(session, params) {
+    const inputs = typeof params.classes === 'string' ? [params.classes] : params.classes;
+    if (!Array.isArray(inputs)) throw new RpcError(-32602, 'sort requires params.classes to be a string or an array of strings');
+    const engine = await session.engine();
+    return inputs.map((text) => sortClassString(engine, text));
+  },
+  async variants(session) {
+    return (await session.engine()).variants();
+  },
+  async reverse(session, params) {
+    if (typeof params.css !== 'string') throw new RpcError(-32602, 'reverse requires params.css');
+    const engine = await session.engine();
+    return reverseLookup(await session.reverseIndex(), params.css, engine);
+  },
+  async usage(session) {
+    return collectUsage(session.args.project, await session.engine());
+  },
+  async lint(session, params) {
+    if (typeof params.text !== 'string') throw new RpcError(-32602, 'lint requires params.text');
+    return lintText(await session.engine(), params.text, params.file || null);
+  },
+  async shutdown(session) {
+    session.closing = true;
+    return null;
+  },
+};
+
+function createSession(args) {
+  let enginePromise = null;
+  let reverseIndexPromise = null;
+  return {
+    args,
+    closing: false,
+    reverseIndex() {
+      if (!reverseIndexPromise) {
+        reverseIndexPromise = this.engine().then((engine) => loadDeclarations(args, engine)).then(buildReverseIndex);
+        reverseIndexPromise.catch(() => (reverseIndexPromise = null));
+      }
+      return reverseIndexPromise;
+    },
+    // Created on first use and kept for the lifetime of the process; a failed setup is retried
+    engine() {
+      if (!enginePromise) {
+        enginePromise = createEngine(args);
+        enginePromise.catch(() => (enginePromise = null));
+      }
+      return enginePromise;
+    },
+  };
+}
+
+async function handleRpcLine(session, line) {
+  let req;
+  try {
+    req = JSON.parse(line);
+  } catch (e) {
+    return { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error: ' + e.message } };
+  }
+  const id = req && req.id !== undefined ? req.id : null;
+  if (!req || typeof req.method !== 'string') {
+    return { jsonrpc: '2.0', id, error: { code: -32600, message: 'Invalid request' } };
+  }
+  const method = Object.prototype.hasOwnProperty.call(rpcMethods, req.method) ? rpcMethods[req.method] : null;
+  if (!method) return { jsonrpc: '2.0', id, error: { code: -32601, message: 'Method not found: ' + req.method } };
+  try {
+    const result = await method(session, req.params || {});
+    return { jsonrpc: '2.0', id, result };
+  } catch (e) {
+    return { jsonrpc: '2.0', id, error: { code: e.code || -32000, message: e.message || String(e) } };
+  }
+}
+
+function serve(args) {
+  const readline = require('readline');
+  const session = createSession(args);
+  const pending = new Set();
+  const rl = readline.createInterface({ input: process.stdin, terminal: false });
+
+  return new Promise((resolve) => {
+    const finish = () => Promise.all(pending).then(resolve);
+    const send = (res) => process.stdout.write(JSON.stringify(res) + '\n');
+    rl.on('line', (line) => {
+      if (!line.trim()) return;
+      if (session.closing) {
+        let id = null;
+        try {
+          id = JSON.parse(line).id ?? null;
+        } catch {}
+        send({ jsonrpc: '2.0', id, error: { code: -32000, message: 'Server is shutting down' } });
+        return;
+      }
+      // Requests are handled concurrently; responses carry the request id and may arrive out of order
+      const task = handleRpcLine(session, line).then((res) => {
+        send(res);
+        pending.delete(task);
+        if (session.closing) rl.close();
+      });
+      pending.add(task);
+    });
+    rl.on('close', finish);
+  });
+}
+
+const watchDebounceMs = 200;
+
+// Rebuilds the index whenever the config, a module or package it imports, or a CSS entry changes;
+// runs until interrupted and prints one JSON event per rebuild
+function watch(args) {
+  const emit = (event) => process.stdout.write(JSON.stringify(event) + '\n');
+  let dependencies = [];
+  let watchers = [];
+  let timer = null;
+  let building = false;
+  const changed = new Set();
+
+  // Until a build succeeds the engine cannot report its dependencies; watch what it would read
+  const fallbackFiles = () => {
+    const files = [path.join(args.project, 'package.json')];
+    if (args.config) files.push(...traceModuleDependencies(path.resolve(args.project, args.config)));
+    const entry = args.css ? path.resolve(args.project, args.css) : findEntryCss(args.project) || findEntryCss(args.project, tailwindDirective);
+    if (entry) files.push(entry);
+    return files;
+  };
+
+  const watchFiles = (files) => {
+    for (const w of watchers) w.close();
+    const byDir = new Map();
+    for (const file of files) {
+      if (!byDir.has(path.dirname(file))) byDir.set(path.dirname(file), new Set());
+      byDir.get(path.dirname(file)).add(path.basename(file));
+    }
+    // Directories rather than files, so editors that save by renaming keep being seen
+    watchers = [];
+    for (const [dir, names] of byDir) {
+      try {
+        watchers.push(
+          fs.watch(dir, (event, name) => {
+            if (!name || !names.has(name.toString())) return;
+            changed.add(path.join(dir, name.toString()));
+            schedule();
+          })
+        );
+      } catch {}
+    }
+  };
+
+  const rebuild = async () => {
+    building = true;
+    const files = Array.from(changed);
+    changed.clear();
+    const started = Date.now();
+    // Configs and their imports are loaded through require (jiti included); drop them so edits are seen
+    for (const file of dependencies.concat(files)) delete require.cache[file];
+    try {
+      const engine = await createEngine(args);
+      const result = await buildIndex({ ...args, engine });
+      dependencies = engine.dependencies();
+      emit({ type: 'rebuild', files, duration: Date.now() - started, ...result });
+    } catch (e) {
+      // Keep the last good index while the config is mid-edit
+      emit({ type: 'error', files, message: e.message || String(e) });
+    }
+    watchFiles(Array.from(new Set((dependencies.length > 0 ? dependencies : fallbackFiles()).concat(files))));
+    building = false;
+    if (changed.size > 0) schedule();
+  };
+
+  const schedule = () => {
+    if (building) return;
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, watchDebounceMs);
+  };
+
+  return new Promise((resolve) => {
+    const stop = () => {
+      clearTimeout(timer);
+      for (const w of watchers) w.close();
+      resolve();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+    rebuild();
+  });
+}
+
+const modes = {
+  index: { run: printIndex, required: ['project', 'out'] },
+  variants: { run: printVariants, required: ['project'] },
+  compile: { run: printCompiled, required: ['project', 'classes'] },
+  serve: { run: serve, required: ['project'] },
+  reverse: { run: printReverse, required: ['project'] },
+  usage: { run: printUsage, required: ['project'] },
+  lint: { run: printLint, required: ['project'] },
+  sort: { run: printSorted, required: ['project'] },
+  watch: { run: watch, required: ['project', 'out'] },
+  workspace: { run: printWorkspace, required: ['project', 'out'] },
+  doctor: { run: printDoctor, required: ['project'] },
+};
+
 async function main() {
   const args = parseArgs(process.argv);
-  if (args.mode !== 'index') {
-    console.error('Unsupported mode. Use --mode index');
+  const mode = modes[args.mode];
+  if (!mode) {
+    console.error('Unsupported mode. Use --mode ' + Object.keys(modes).join('|'));
     process.exit(2);
   }
-  if (!args.project || !args.config || !args.out) {
-    console.error('--project, --config, and --out are required');
+  const missing = mode.required.filter((k) => !args[k]);
+  if (missing.length > 0) {
+    console.error(missing.map((k) => '--' + k).join(', ') + ' required for --mode ' + args.mode);
     process.exit(2);
   }
+  args.project = path.resolve(args.project);
   try {
-    await buildIndex(args);
-    process.exit(0);
+    const code = await mode.run(args);
+    process.exit(typeof code === 'number' ? code : 0);
   } catch (e) {
     console.error(e.message || String(e));
     process.exit(1);
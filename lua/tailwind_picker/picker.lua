@@ -31,66 +31,99 @@ local function get_cache_dir(root)
 end
 
 local function is_cache_stale(config_path, cache_dir)
-  local class_list = vim.fs.joinpath(cache_dir, 'classes.json')
-  local map_file = vim.fs.joinpath(cache_dir, 'filename-map.json')
-  if not (path_exists(class_list) and path_exists(map_file)) then
+  local class_list = vim.fs.joinpath(cache_dir, 'index.json')
+  local meta_file = vim.fs.joinpath(cache_dir, 'meta.json')
+  if not (path_exists(class_list) and path_exists(meta_file)) then
     return true
   end
-  local cfg_stat = uv.fs_stat(config_path)
-  local cls_stat = uv.fs_stat(class_list)
-  if not cfg_stat or not cls_stat then
+  -- The helper records every file the index was built from: the config and what it imports,
+  -- presets, plugins and CSS entries
+  local ok, meta = pcall(function()
+    return vim.json.decode(read_file(meta_file))
+  end)
+  meta = ok and type(meta) == 'table' and meta or {}
+  local sources = {}
+  if config_path then
+    table.insert(sources, config_path)
+  end
+  if type(meta.dependencies) == 'table' then
+    vim.list_extend(sources, meta.dependencies)
+  elseif type(meta.entry) == 'string' then
+    table.insert(sources, meta.entry)
+  end
+  if #sources == 0 then
+    return true
+  end
+  -- index.json is only rewritten when classes change; meta.json is written on every build
+  local meta_stat = uv.fs_stat(meta_file)
+  if not meta_stat then
     return true
   end
-  return cfg_stat.mtime.sec > cls_stat.mtime.sec
+  for _, source in ipairs(sources) do
+    local stat = uv.fs_stat(source)
+    if not stat or stat.mtime.sec > meta_stat.mtime.sec then
+      return true
+    end
+  end
+  return false
+end
+
+local function swatch_hl(hex)
+  local name = 'TailwindPickerSwatch' .. hex:gsub('#', '')
+  if vim.fn.hlexists(name) == 0 then
+    vim.api.nvim_set_hl(0, name, { fg = hex })
+  end
+  return name
 end
 
 local function open_picker_with_cache(cache_dir)
-  local classes_path = vim.fs.joinpath(cache_dir, 'classes.json')
-  local map_path = vim.fs.joinpath(cache_dir, 'filename-map.json')
-  local ok1, classes_json = pcall(read_file, classes_path)
-  local ok2, map_json = pcall(read_file, map_path)
-  if not (ok1 and ok2) then
+  local bundle_path = vim.fs.joinpath(cache_dir, 'index.json')
+  local ok, bundle_json = pcall(read_file, bundle_path)
+  local ok_decode, bundle = false, nil
+  if ok then
+    ok_decode, bundle = pcall(vim.json.decode, bundle_json)
+  end
+  if not (ok_decode and type(bundle) == 'table' and type(bundle.classes) == 'table') then
     Snacks.notify('tailwind-picker: cache missing or unreadable', { level = 'error' })
     return
   end
-  local _ = vim.json.decode(classes_json)
-  local fname_to_class = vim.json.decode(map_json)
 
   local function finder()
     local items = {}
-    for key, klass in pairs(fname_to_class) do
-      local file = vim.fs.joinpath(cache_dir, key .. '.css')
-      if path_exists(file) then
-        local css = ''
-        local ok_css, content = pcall(read_file, file)
-        if ok_css and type(content) == 'string' then
-          css = content:gsub('%s+', ' ')
-          if #css > 300 then
-            css = css:sub(1, 300)
-          end
-        end
-        -- Create separate searchable entries: one for classname, one for CSS content
-        -- This allows independent fuzzy matching within each field
-        local class_item = { 
-          text = klass, 
-          class = klass, 
-          file = file, 
-          css = css
+    for klass, entry in pairs(bundle.classes) do
+      local full_css = type(entry.css) == 'string' and entry.css or ''
+      local css = full_css:gsub('%s+', ' ')
+      if #css > 300 then
+        css = css:sub(1, 300)
+      end
+      local preview = { text = full_css ~= '' and full_css or '/* no CSS */', ft = 'css' }
+      local resolved = type(entry.resolved) == 'table' and entry.resolved or {}
+      local hex = type(resolved.color) == 'table' and resolved.color.hex or nil
+      -- Create separate searchable entries: one for classname, one for CSS content
+      -- This allows independent fuzzy matching within each field
+      local class_item = {
+        text = klass,
+        class = klass,
+        category = entry.category,
+        hex = hex,
+        css = css,
+        preview = preview,
+      }
+
+      local css_trimmed = css and css:gsub("^%s*(.-)%s*$", "%1") or ''
+      if css_trimmed ~= '' then
+        local css_item = {
+          text = css_trimmed,
+          class = klass,
+          category = entry.category,
+          hex = hex,
+          css = css,
+          preview = preview,
         }
-        
-        local css_trimmed = css and css:gsub("^%s*(.-)%s*$", "%1") or ''
-        if css_trimmed ~= '' then
-          local css_item = {
-            text = css_trimmed,
-            class = klass,
-            file = file,
-            css = css
-          }
-          table.insert(items, css_item)
-        end
-        
-        table.insert(items, class_item)
+        table.insert(items, css_item)
       end
+
+      table.insert(items, class_item)
     end
     table.sort(items, function(a, b)
       return a.text < b.text
@@ -100,11 +133,19 @@ local function open_picker_with_cache(cache_dir)
 
   Snacks.picker.pick {
     source = 'tailwind_classes',
-    title = 'Tailwind v3 Utilities',
+    title = 'Tailwind Utilities',
     finder = finder,
-    preview = 'file',
+    preview = 'preview',
     format = function(item)
-      return { { item.class } }
+      local ret = {}
+      if item.hex then
+        ret[#ret + 1] = { '■ ', swatch_hl(item.hex) }
+      end
+      ret[#ret + 1] = { item.class }
+      if type(item.category) == 'string' then
+        ret[#ret + 1] = { '  ' .. item.category, 'Comment' }
+      end
+      return ret
     end,
     actions = {
       confirm = function(picker)
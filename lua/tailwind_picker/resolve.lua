@@ -8,6 +8,36 @@ function M.set_scan_depth(d)
   scan_depth = d or 4
 end
 
+local v4_packages = { '@tailwindcss/vite', '@tailwindcss/postcss', '@tailwindcss/cli', '@tailwindcss/node' }
+
+-- Tailwind v4 is configured in CSS, so a project is recognised by its package.json instead
+local function is_v4_package_json(path)
+  local fd = uv.fs_open(path, 'r', 438)
+  if not fd then
+    return false
+  end
+  local stat = uv.fs_fstat(fd)
+  local data = stat and uv.fs_read(fd, stat.size, 0) or ''
+  uv.fs_close(fd)
+  local ok, pkg = pcall(vim.json.decode, data)
+  if not ok or type(pkg) ~= 'table' then
+    return false
+  end
+  for _, field in ipairs { 'dependencies', 'devDependencies' } do
+    local deps = type(pkg[field]) == 'table' and pkg[field] or {}
+    local tw = deps.tailwindcss
+    if type(tw) == 'string' and tw:match '^[%^~>=v]*4' then
+      return true
+    end
+    for _, name in ipairs(v4_packages) do
+      if deps[name] then
+        return true
+      end
+    end
+  end
+  return false
+end
+
 local function find_nearest_config_from_buffer()
   local buf = vim.api.nvim_get_current_buf()
   local buf_name = vim.api.nvim_buf_get_name(buf)
@@ -15,7 +45,13 @@ local function find_nearest_config_from_buffer()
   local names = { 'tailwind.config.js', 'tailwind.config.cjs', 'tailwind.config.mjs', 'tailwind.config.ts' }
   local found = vim.fs.find(names, { upward = true, path = start, type = 'file' })
   if found and #found > 0 then
-    return found[1]
+    return vim.fs.dirname(found[1]), found[1]
+  end
+  local pkgs = vim.fs.find(function(name, dir)
+    return name == 'package.json' and is_v4_package_json(vim.fs.joinpath(dir, name))
+  end, { upward = true, path = start, type = 'file' })
+  if pkgs and #pkgs > 0 then
+    return vim.fs.dirname(pkgs[1]), nil
   end
   return nil
 end
@@ -44,7 +80,9 @@ local function workspace_scan_configs(cwd, max_depth)
       local full = vim.fs.joinpath(dir, name)
       if t == 'file' then
         if name:match '^tailwind%.config%.[cmjt]s$' then
-          results[#results + 1] = full
+          results[#results + 1] = { root = dir, config = full }
+        elseif name == 'package.json' and is_v4_package_json(full) then
+          results[#results + 1] = { root = dir }
         end
       elseif t == 'directory' and not ignore[name] then
         scan(full, depth + 1)
@@ -58,23 +96,24 @@ local function workspace_scan_configs(cwd, max_depth)
 end
 
 function M.resolve_project_and_config(on_resolve)
-  local cfg = find_nearest_config_from_buffer()
-  if cfg then
-    return on_resolve(vim.fs.dirname(cfg), cfg)
+  local root, cfg = find_nearest_config_from_buffer()
+  if root then
+    return on_resolve(root, cfg)
   end
   local cwd = vim.loop.cwd()
   local found = workspace_scan_configs(cwd, scan_depth)
   if #found == 0 then
-    Snacks.notify('tailwind-picker: no tailwind.config.* found', { level = 'error' })
+    Snacks.notify('tailwind-picker: no tailwind.config.* or Tailwind v4 project found', { level = 'error' })
     return
   elseif #found == 1 then
-    return on_resolve(vim.fs.dirname(found[1]), found[1])
+    return on_resolve(found[1].root, found[1].config)
   end
 
   local items = {}
   for _, p in ipairs(found) do
-    local rel = vim.fs.normalize(p):gsub('^' .. vim.pesc(cwd) .. '/', '')
-    table.insert(items, { text = rel, file = p, path = p })
+    local file = p.config or vim.fs.joinpath(p.root, 'package.json')
+    local rel = vim.fs.normalize(file):gsub('^' .. vim.pesc(cwd) .. '/', '')
+    table.insert(items, { text = rel, file = file, path = file, root = p.root, config = p.config })
   end
 
   Snacks.picker.pick {
@@ -85,7 +124,7 @@ function M.resolve_project_and_config(on_resolve)
       confirm = function(picker, sel)
         local it = sel[1]
         picker:close()
-        on_resolve(vim.fs.dirname(it.file), it.file)
+        on_resolve(it.root, it.config)
       end,
     },
   }